@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createInterface } from 'readline/promises';
+import { resolve } from 'path';
+import { writeFileSync } from 'fs';
+import {
+  config,
+  logger,
+  setup,
+  getStatus,
+  getLastRun,
+  performTopUp,
+  quoteArio,
+  manualBurn,
+  verifyBridgeBurn,
+} from './index.js';
+import { Ledger } from './src/ledger.js';
+import { CSV_SCHEMA_VERSION, verifyCsvFile, repairCsvFile } from './src/csv.js';
+import { buildReport, formatReport, monthRange, REPORT_FORMATS } from './src/reports.js';
+
+/**
+ * Operator CLI for the balance maintainer bot
+ *
+ * Uses the same configuration (.env), journal and bridge ledger as the scheduled bot,
+ * so anything done here is visible to it and vice versa. Commands that send transactions
+ * (topup, burn) run only while the bot is stopped.
+ */
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  status                          Show wallet balances, in-flight work and active alerts
+  topup --once [--dry-run]        Run a single top-up cycle and exit
+  quote <ario>                    Show the USDC cost of buying <ario> ARIO on Base
+  burn <amount> --to <address>    Burn ARIO held on Base to an AO wallet [--dry-run] [--yes]
+  verify-bridge <burn-tx>         Find the AO Credit-Notice for a Base burn transaction
+                                  [--wait MINUTES] to keep polling until it arrives
+  history [--limit N] [--type T]  Show recent transactions from the ledger
+  export-csv [--out FILE]         Write the ledger's transactions as CSV [--since DATE] [--until DATE] [--schema-marker]
+  import-csv [FILE...]            Import CSV transaction files (default: transactions.csv and its backups)
+  verify-csv [FILE...] [--repair] Check CSV transaction files; --repair quarantines malformed rows
+  report [--month YYYY-MM]        Cost-basis and profit/loss report [--since DATE] [--until DATE] [--monthly]
+                                  [--format markdown|json|csv] [--out FILE] [--eth-usd N] [--ario-usd N]
+
+Options:
+  --verbose                       Print the bot's log output to the console
+  -h, --help                      Show this help`;
+
+const OPTIONS = {
+  once: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  to: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  limit: { type: 'string' },
+  type: { type: 'string' },
+  wait: { type: 'string' },
+  out: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'schema-marker': { type: 'boolean' },
+  repair: { type: 'boolean' },
+  month: { type: 'string' },
+  monthly: { type: 'boolean' },
+  format: { type: 'string' },
+  'eth-usd': { type: 'string' },
+  'ario-usd': { type: 'string' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const AO_ADDRESS_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+
+class UsageError extends Error {}
+
+/**
+ * Parse a positive amount argument
+ */
+function parseAmount(value, name) {
+  const amount = parseFloat(value);
+  if (!value || isNaN(amount) || amount <= 0) {
+    throw new UsageError(`${name} must be a positive number`);
+  }
+  return amount;
+}
+
+function formatArio(amount) {
+  return `${amount.toLocaleString(undefined, { maximumFractionDigits: 2 })} ARIO`;
+}
+
+async function confirm(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return answer.trim().toLowerCase() === 'y';
+  } finally {
+    rl.close();
+  }
+}
+
+async function statusCommand() {
+  const status = await getStatus();
+  const { targets, botAo, base } = status.balances;
+
+  console.log(`Mode: ${status.dryRun ? 'DRY RUN' : 'live'} | Schedule: ${status.cronSchedule} (next: ${status.nextRunAt || 'unknown'})`);
+
+  console.log('\nTarget wallets (AO):');
+  for (const target of targets) {
+    if (target.error) {
+      console.log(`  ${target.label} ${target.address}: ERROR ${target.error}`);
+      continue;
+    }
+    const flag = target.balance + target.inFlight < target.minBalance ? '⚠️ ' : '✅';
+    console.log(
+      `  ${flag} ${target.label} ${target.address}: ${formatArio(target.balance)}` +
+      ` (min ${formatArio(target.minBalance)}, target ${formatArio(target.targetBalance)}` +
+      (target.inFlight > 0 ? `, ${formatArio(target.inFlight)} bridging` : '') + ')'
+    );
+    const { burnPerDay, daysOfCover, minimumAt } = target.forecast;
+    if (burnPerDay === null) {
+      console.log('     Forecast: collecting balance history');
+    } else if (minimumAt === null) {
+      console.log('     Forecast: no consumption measured');
+    } else {
+      console.log(`     Forecast: ${formatArio(burnPerDay)}/day, ${daysOfCover.toFixed(1)} days of cover, minimum reached ~${minimumAt}`);
+    }
+  }
+
+  console.log('\nBot AO wallet:');
+  console.log(botAo.error ? `  ERROR ${botAo.error}` : `  ${botAo.address}: ${formatArio(botAo.balance)}`);
+
+  console.log('\nBase wallet:');
+  if (base.error) {
+    console.log(`  ERROR ${base.error}`);
+  } else {
+    console.log(`  ${base.address}`);
+    console.log(`  ETH:  ${base.eth.toFixed(6)}`);
+    console.log(`  USDC: ${base.usdc.toFixed(2)}`);
+    console.log(`  ARIO: ${base.ario.toFixed(2)}`);
+  }
+
+  console.log('\nBase RPC endpoints:');
+  for (const endpoint of status.baseRpc) {
+    console.log(
+      `  ${endpoint.healthy ? '✅' : '❌'} ${endpoint.name}${endpoint.current ? ' (current)' : ''}: ` +
+      `block ${endpoint.blockNumber ?? 'unknown'} (lag ${endpoint.blockLag}), ${endpoint.latencyMs ?? '?'}ms, ${endpoint.errorPercent}% errors`
+    );
+  }
+
+  if (status.opportunistic) {
+    const { latestPrice, sampledAt, average, samples, buyBelow } = status.opportunistic;
+    console.log('\nOpportunistic buying:');
+    console.log(`  Last price:      ${latestPrice !== null ? `${latestPrice.toFixed(6)} USDC (${sampledAt})` : 'not sampled yet'}`);
+    console.log(`  Moving average:  ${average !== null ? `${average.toFixed(6)} USDC over ${samples} samples, buying early below ${buyBelow.toFixed(6)}` : `collecting samples (${samples} so far)`}`);
+  }
+
+  if (status.priceCheck.enabled) {
+    const { maxDeviationPercent, referencePrice, poolAddress, medianPrice, medianSamples } = status.priceCheck;
+    console.log(`\nPrice check (band ±${maxDeviationPercent}%):`);
+    if (referencePrice !== null) console.log(`  Reference price: ${referencePrice} USDC`);
+    if (poolAddress) console.log(`  Base pool:       ${poolAddress}`);
+    console.log(`  Quote median:    ${medianPrice !== null ? `${medianPrice.toFixed(6)} USDC` : 'not enough quotes yet'} (${medianSamples} recorded)`);
+  }
+
+  if (status.budget) {
+    const { limits, usage, remaining, dayResetsAt } = status.budget;
+    console.log('\nSpending budget:');
+    if (limits.maxUsdcPerRun !== null) console.log(`  Per run:      ${limits.maxUsdcPerRun} USDC`);
+    if (limits.maxUsdcPerDay !== null) console.log(`  Today:        ${usage.usdcToday.toFixed(2)} / ${limits.maxUsdcPerDay} USDC (${remaining.day.toFixed(2)} left, resets ${dayResetsAt})`);
+    if (limits.maxUsdcPerWeek !== null) console.log(`  Last 7 days:  ${usage.usdcThisWeek.toFixed(2)} / ${limits.maxUsdcPerWeek} USDC (${remaining.week.toFixed(2)} left)`);
+    if (limits.maxSwapsPerDay !== null) console.log(`  Swaps today:  ${usage.swapsToday} / ${limits.maxSwapsPerDay}`);
+  }
+
+  if (status.alerts.length > 0) {
+    console.log('\nActive alerts:');
+    for (const alert of status.alerts) {
+      console.log(
+        `  ${alert.severity === 'critical' ? '🚨' : '⚠️ '} ${alert.key}: ${alert.title}` +
+        ` (since ${alert.since}, notified ${alert.notifications}x, last ${alert.lastNotifiedAt})`
+      );
+    }
+  }
+
+  if (status.inFlightRuns.length > 0) {
+    console.log('\nIn-flight runs:');
+    for (const run of status.inFlightRuns) {
+      console.log(`  ${run.id} (${run.source}) ${run.status} since ${run.createdAt}`);
+      if (run.approval) {
+        const decided = run.approval.decidedBy ? ` by ${run.approval.decidedBy}` : ` (expires ${run.approval.expiresAt})`;
+        console.log(`    approval ${run.approval.status}${decided}: ${run.approval.reasons.join('; ')}`);
+      }
+      run.burns.forEach(burn => console.log(`    ${burn.label}: ${formatArio(burn.amount)} ${burn.status}${burn.txHash ? ` ${burn.txHash}` : ''}`));
+    }
+  }
+
+  if (status.uncreditedBridgeBurns.length > 0) {
+    console.log('\nBurns awaiting a Credit-Notice:');
+    for (const entry of status.uncreditedBridgeBurns) {
+      console.log(`  ${entry.label}: ${formatArio(entry.amount)} ${entry.status} burned ${entry.burnedAt} ${entry.txHash || '(unknown tx)'}`);
+    }
+  }
+
+  return 0;
+}
+
+async function topupCommand(values) {
+  if (!values.once) {
+    throw new UsageError('topup requires --once (use `npm start` to run the scheduled bot)');
+  }
+
+  await performTopUp();
+
+  const lastRun = getLastRun();
+  console.log(`Top-up finished: ${lastRun.outcome}${lastRun.error ? ` (${lastRun.error})` : ''}`);
+  return lastRun.outcome === 'failed' ? 1 : 0;
+}
+
+async function quoteCommand(positionals) {
+  const arioAmount = parseAmount(positionals[0], 'ARIO amount');
+  const quote = await quoteArio(arioAmount);
+
+  console.log(`Buying ${formatArio(arioAmount)} on Base:`);
+  console.log(`  USDC needed:  ${quote.usdcNeeded.toFixed(2)} USDC`);
+  console.log(`  Expected:     ~${formatArio(quote.expectedArio)}`);
+  console.log(`  Price:        1 ARIO = ${quote.effectivePrice.toFixed(6)} USDC`);
+  console.log(`  Price impact: ${quote.priceImpact.toFixed(3)}%`);
+  console.log(`  Quote valid until ${new Date(quote.expiresAt).toISOString()} (${quote.iterations} route(s) searched)`);
+  return 0;
+}
+
+async function burnCommand(positionals, values) {
+  const amount = parseAmount(positionals[0], 'Burn amount');
+  const address = values.to;
+  if (!address || !AO_ADDRESS_PATTERN.test(address)) {
+    throw new UsageError('burn requires --to <ao-address> (a 43-character AO address)');
+  }
+
+  const target = config.targets.find(candidate => candidate.address === address);
+  console.log(`Burning ${formatArio(amount)} on Base to ${target ? `${target.label} ` : ''}${address}`);
+  if (!target) {
+    console.log('⚠️  This address is not one of the configured targets.');
+  }
+
+  if (!config.dryRun && !values.yes && !(await confirm('Burns cannot be undone. Continue?'))) {
+    console.log('Aborted.');
+    return 1;
+  }
+
+  const run = await manualBurn(amount, address);
+  const [burn] = run.burns;
+
+  if (burn.status === 'failed') {
+    console.log(`❌ Burn failed: ${burn.error}`);
+    return 1;
+  }
+
+  console.log(config.dryRun ? '[DRY RUN] Burn simulated' : `✅ Burn ${burn.status}: ${burn.txHash || 'pending'}`);
+  console.log(`Run: ${run.id} (${run.status})`);
+  if (!config.dryRun) {
+    console.log('The bridge credit is tracked by the bot; check it with `verify-bridge`.');
+  }
+  return 0;
+}
+
+async function verifyBridgeCommand(positionals, values) {
+  const txHash = positionals[0];
+  if (!txHash || !/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+    throw new UsageError('verify-bridge requires a Base transaction hash');
+  }
+
+  const waitMinutes = values.wait ? parseAmount(values.wait, '--wait') : 0;
+  const result = await verifyBridgeBurn(txHash, { waitMinutes });
+
+  if (result.status !== 'success') {
+    console.log(`Burn transaction ${txHash}: ${result.status}`);
+    return 1;
+  }
+
+  console.log(`Burn:        ${formatArio(result.burnEvent.amount)} → ${result.burnEvent.arweaveAddress}`);
+  console.log(`Block:       ${result.burnEvent.blockNumber}${result.burnedAt ? ` (${result.burnedAt})` : ''}`);
+  console.log(`Ledger:      ${result.ledgerEntry ? result.ledgerEntry.status : 'not tracked by the bot'}`);
+
+  if (!result.match) {
+    console.log('Credit:      ⏳ no matching Credit-Notice on AO yet');
+    return 1;
+  }
+
+  console.log(`Credit:      ✅ ${result.match.credit.id} (${formatArio(result.match.credit.quantityArio)}, matched by ${result.match.matchedBy})`);
+  return 0;
+}
+
+async function historyCommand(values) {
+  const limit = values.limit ? parseInt(values.limit) : 20;
+  if (isNaN(limit) || limit <= 0) {
+    throw new UsageError('--limit must be a positive number');
+  }
+
+  const ledger = new Ledger(config.ledgerPath);
+  const records = await ledger.getRecentTransactions(limit, { type: values.type });
+  ledger.close();
+
+  if (records.length === 0) {
+    console.log('No transactions recorded.');
+    return 0;
+  }
+
+  for (const record of records) {
+    const amounts = record.from_token
+      ? `${record.from_amount} ${record.from_token} → ${record.to_amount} ${record.to_token}`
+      : `${record.to_amount} ${record.to_token}`;
+    const tx = record.base_tx_hash || record.tx_id;
+    console.log(`${record.timestamp}  ${record.transaction_type.padEnd(17)} ${amounts}${tx ? `  ${tx}` : ''}`);
+  }
+  return 0;
+}
+
+/**
+ * Parse a --since/--until date into an ISO timestamp
+ */
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new UsageError(`--${name} must be a date (e.g. 2025-01-31)`);
+  }
+  return new Date(time).toISOString();
+}
+
+async function exportCsvCommand(values) {
+  const out = values.out || 'transactions.csv';
+  const range = { since: parseDate(values.since, 'since'), until: parseDate(values.until, 'until') };
+
+  const ledger = new Ledger(config.ledgerPath);
+  const count = ledger.exportCsv(resolve(out), { ...range, schemaMarker: values['schema-marker'] });
+  ledger.close();
+
+  console.log(`Exported ${count} transaction(s) to ${out}`);
+  return 0;
+}
+
+async function importCsvCommand(args) {
+  const files = args.length > 0 ? args.map(file => resolve(file)) : Ledger.findLegacyCsvFiles();
+  if (files.length === 0) {
+    console.log('No CSV files to import.');
+    return 0;
+  }
+
+  const ledger = new Ledger(config.ledgerPath);
+  let failed = 0;
+  try {
+    for (const result of ledger.importCsvFiles(files)) {
+      if (result.error) {
+        failed++;
+        console.log(`${result.file}: ❌ not imported - ${result.error}`);
+      } else if (result.skipped) {
+        console.log(`${result.file}: already imported`);
+      } else {
+        console.log(`${result.file}: ${result.imported} of ${result.rows} row(s) imported (${result.rows - result.imported} already in the ledger)`);
+      }
+    }
+  } finally {
+    ledger.close();
+  }
+
+  if (failed > 0) {
+    console.log('\nRun "verify-csv --repair <file>" to quarantine malformed rows, then import again.');
+    return 1;
+  }
+  return 0;
+}
+
+async function verifyCsvCommand(args, values) {
+  const files = args.length > 0 ? args.map(file => resolve(file)) : Ledger.findLegacyCsvFiles();
+  if (files.length === 0) {
+    console.log('No CSV files to check.');
+    return 0;
+  }
+
+  let invalid = 0;
+  for (const file of files) {
+    const result = verifyCsvFile(file);
+    if (result.error) {
+      invalid++;
+      console.log(`${file}: ❌ ${result.error}`);
+      continue;
+    }
+
+    const layout = result.version < CSV_SCHEMA_VERSION ? `schema v${result.version}, older layout` : `schema v${result.version}`;
+    if (result.valid) {
+      console.log(`${file}: ✅ ${result.rows} row(s) (${layout})`);
+    } else {
+      console.log(`${file}: ❌ ${result.malformed.length} malformed row(s), ${result.rows} valid (${layout})`);
+      for (const row of result.malformed) {
+        console.log(`  line ${row.line}: ${row.error}`);
+      }
+    }
+
+    if (!values.repair || (result.valid && result.version === CSV_SCHEMA_VERSION)) {
+      if (!result.valid) invalid++;
+      continue;
+    }
+
+    const repair = repairCsvFile(file);
+    if (repair.upgradedFrom !== null) {
+      console.log(`  Upgraded from schema v${repair.upgradedFrom} to v${CSV_SCHEMA_VERSION}`);
+    }
+    if (repair.quarantined > 0) {
+      console.log(`  Quarantined ${repair.quarantined} row(s) to ${repair.quarantinePath}`);
+    }
+    console.log(`  Rewritten with ${repair.rows} row(s); original kept as ${repair.backupPath}`);
+  }
+
+  return invalid > 0 ? 1 : 0;
+}
+
+async function reportCommand(values) {
+  const format = values.format || 'markdown';
+  if (!REPORT_FORMATS[format]) {
+    throw new UsageError(`--format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+  if (values.month && (values.since || values.until)) {
+    throw new UsageError('--month cannot be combined with --since or --until');
+  }
+
+  let range;
+  try {
+    range = values.month
+      ? monthRange(values.month)
+      : { since: parseDate(values.since, 'since'), until: parseDate(values.until, 'until') };
+  } catch (error) {
+    if (error instanceof UsageError) throw error;
+    throw new UsageError(error.message);
+  }
+
+  const ledger = new Ledger(config.ledgerPath);
+  const report = buildReport(ledger, {
+    ...range,
+    monthly: values.monthly,
+    ethUsd: values['eth-usd'] ? parseAmount(values['eth-usd'], '--eth-usd') : null,
+    arioUsd: values['ario-usd'] ? parseAmount(values['ario-usd'], '--ario-usd') : null,
+  });
+  ledger.close();
+
+  const output = formatReport(report, format);
+  if (values.out) {
+    writeFileSync(resolve(values.out), output);
+    console.log(`Report written to ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+async function run() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  // Keep the console for command output; the log file still records everything
+  for (const transport of logger.transports) {
+    if (transport.name === 'console') {
+      transport.level = values.verbose ? 'info' : 'warn';
+    }
+  }
+
+  // Ledger and CSV commands only use local files - no wallets or RPC needed
+  if (command === 'history') {
+    return historyCommand(values);
+  }
+  if (command === 'export-csv') {
+    return exportCsvCommand(values);
+  }
+  if (command === 'import-csv') {
+    return importCsvCommand(args);
+  }
+  if (command === 'verify-csv') {
+    return verifyCsvCommand(args, values);
+  }
+  if (command === 'report') {
+    return reportCommand(values);
+  }
+
+  if (values['dry-run']) {
+    config.dryRun = true;
+  }
+
+  // Commands that only look things up run alongside the bot, without a transaction
+  // manager, so they never touch transactions it is sending. The others take the
+  // instance lock and are refused while the bot is running.
+  const commands = {
+    status: { run: () => statusCommand(), readOnly: true },
+    topup: { run: () => topupCommand(values) },
+    quote: { run: () => quoteCommand(args), readOnly: true },
+    burn: { run: () => burnCommand(args, values) },
+    'verify-bridge': { run: () => verifyBridgeCommand(args, values), readOnly: true },
+  };
+
+  if (!commands[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const { run: runCommand, readOnly = false } = commands[command];
+  await setup({ readOnly, owner: `cli ${command}` });
+  return runCommand();
+}
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
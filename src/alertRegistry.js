@@ -0,0 +1,142 @@
+import { join } from 'path';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { notify, getTitle } from './notifier.js';
+
+/**
+ * Registry of ongoing alert conditions (low ETH, insufficient USDC, ...)
+ *
+ * Each condition has a stable key. The first time a condition is raised, its alert is
+ * sent. While it stays active, raising it again only sends a reminder once the reminder
+ * interval has passed. Resolving a condition posts a resolution message, at the alert's
+ * severity so it reaches everyone who was alerted. State survives restarts.
+ */
+
+// Resolved alerts kept for the status output
+const MAX_RESOLVED_ALERTS = 20;
+
+export class AlertRegistry {
+  /**
+   * @param {object} logger - Winston logger instance
+   * @param {object} config - Reminder settings
+   * @param {number} config.remindAfterMinutes - Resend an active alert after this long (0 disables reminders)
+   * @param {string} filename - State file, relative to the working directory
+   * @param {object} options
+   * @param {boolean} options.persist - Write to disk (false in dry run mode)
+   */
+  constructor(logger, config = {}, filename = 'alerts.json', { persist = true } = {}) {
+    this.logger = logger;
+    this.remindAfterMinutes = config.remindAfterMinutes ?? 1440;
+    this.filepath = join(process.cwd(), filename);
+    this.persist = persist;
+
+    const state = persist ? readJsonFile(this.filepath, { active: [], resolved: [] }) : { active: [], resolved: [] };
+    this.active = state.active;
+    this.resolved = state.resolved;
+  }
+
+  /**
+   * Report that a condition holds. Sends the alert when the condition starts, and a
+   * reminder when it has been active for longer than the reminder interval.
+   * @param {string} key - Condition key, e.g. 'low-eth'
+   * @param {string} severity - Notifier severity
+   * @param {string} message - Alert text (mrkdwn); the first line is its title
+   * @returns {Promise<boolean>} True if a notification was sent
+   */
+  async raise(key, severity, message) {
+    const now = new Date();
+    const alert = this.get(key);
+
+    if (!alert) {
+      this.active.push({
+        key,
+        severity,
+        title: getTitle(message),
+        since: now.toISOString(),
+        lastNotifiedAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        notifications: 1,
+      });
+      this.save();
+
+      this.logger.info(`🔔 Alert raised: ${key}`);
+      await notify(severity, message);
+      return true;
+    }
+
+    Object.assign(alert, { severity, title: getTitle(message), lastSeenAt: now.toISOString() });
+
+    const minutesSinceNotified = (now - Date.parse(alert.lastNotifiedAt)) / 60000;
+    if (this.remindAfterMinutes <= 0 || minutesSinceNotified < this.remindAfterMinutes) {
+      this.save();
+      this.logger.info(`🔕 Alert ${key} still active since ${alert.since} - notification suppressed`);
+      return false;
+    }
+
+    alert.lastNotifiedAt = now.toISOString();
+    alert.notifications += 1;
+    this.save();
+
+    await notify(severity,
+      `🔁 *Reminder:* ${message}\n\n` +
+      `_Active since ${alert.since} (reminder ${alert.notifications - 1})_`
+    );
+    return true;
+  }
+
+  /**
+   * Report that a condition no longer holds. Posts a resolution if it was active.
+   * @param {string} key - Condition key
+   * @param {string} detail - What changed (mrkdwn), included in the resolution message
+   * @returns {Promise<boolean>} True if an active alert was resolved
+   */
+  async resolve(key, detail = '') {
+    const alert = this.get(key);
+    if (!alert) return false;
+
+    const resolvedAt = new Date().toISOString();
+    const minutes = Math.round((Date.parse(resolvedAt) - Date.parse(alert.since)) / 60000);
+
+    this.active = this.active.filter(candidate => candidate !== alert);
+    this.resolved.push({ ...alert, resolvedAt });
+    this.resolved = this.resolved.slice(-MAX_RESOLVED_ALERTS);
+    this.save();
+
+    this.logger.info(`✅ Alert resolved: ${key} (active for ${minutes} min)`);
+    await notify(alert.severity,
+      // Drop the alert's own emoji (⚠️, 🚨) from the title
+      `✅ *RESOLVED: ${alert.title.replace(/^[^\p{L}\p{N}]+/u, '')}*\n\n` +
+      (detail ? `${detail}\n\n` : '') +
+      `Active since ${alert.since} (${minutes} min).`
+    );
+    return true;
+  }
+
+  /**
+   * @param {string} key - Condition key
+   * @returns {object|undefined} The active alert for a condition
+   */
+  get(key) {
+    return this.active.find(alert => alert.key === key);
+  }
+
+  /**
+   * Active alerts, oldest first
+   * @returns {Array<{key: string, severity: string, title: string, since: string, lastNotifiedAt: string, lastSeenAt: string, notifications: number}>}
+   */
+  getActive() {
+    return [...this.active].sort((a, b) => Date.parse(a.since) - Date.parse(b.since));
+  }
+
+  /**
+   * Recently resolved alerts, newest first
+   * @returns {Array<object>}
+   */
+  getResolved() {
+    return [...this.resolved].reverse();
+  }
+
+  save() {
+    if (!this.persist) return;
+    writeJsonFile(this.filepath, { active: this.active, resolved: this.resolved });
+  }
+}
@@ -0,0 +1,242 @@
+import { connect } from '@permaweb/aoconnect';
+
+/**
+ * AO client with compute unit (CU) and messenger unit (MU) failover
+ *
+ * - dryrun and result calls try each configured CU in turn until one answers
+ * - message sends fail over to the next MU only when no connection to the previous one
+ *   could be made at all; any other failure (including a timeout or a reset connection)
+ *   may mean the message was accepted, and sending a freshly signed copy elsewhere could
+ *   transfer twice
+ * - Balance reads reject empty or errored dryrun responses instead of reading them as 0,
+ *   and can be cross-checked across several CUs
+ */
+
+// Errors raised before a connection to the MU existed (safe to send elsewhere)
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * A message that failed in a way that does not rule out delivery. Check the recipient's
+ * balance or the message status before sending it again.
+ */
+export class MessageOutcomeUnknownError extends Error {}
+
+/**
+ * Whether an error means the MU was never reached. fetch() reports these as
+ * "fetch failed" with the system error code on its cause.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUnreachable(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (UNREACHABLE_CODES.includes(current.code)) return true;
+    if (UNREACHABLE_CODES.some(code => new RegExp(`\\b${code}\\b`).test(current.message || ''))) return true;
+  }
+  return false;
+}
+
+/**
+ * Reject if a promise does not settle in time
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export class AoClient {
+  /**
+   * @param {object} config - AO endpoints and balance checks
+   * @param {Array<string>} config.cuUrls - Compute units, in order of preference
+   * @param {Array<string>} config.muUrls - Messenger units, in order of preference
+   * @param {string} config.gatewayUrl - Arweave gateway
+   * @param {number} config.timeoutMs - Per-request timeout
+   * @param {number} config.balanceQuorum - CUs that must agree before a balance is trusted for a top-up
+   * @param {number} config.balanceTolerancePercent - How far agreeing balance reads may differ
+   * @param {object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.logger = logger;
+    this.timeoutMs = config.timeoutMs ?? 30000;
+    this.balanceQuorum = config.balanceQuorum ?? 2;
+    this.balanceTolerancePercent = config.balanceTolerancePercent ?? 1;
+
+    // One aoconnect instance per CU and per MU; each one only uses the unit it is named after
+    const muUrl = config.muUrls[0];
+    this.cus = config.cuUrls.map(url => ({
+      url,
+      ao: connect({ CU_URL: url, MU_URL: muUrl, GATEWAY_URL: config.gatewayUrl }),
+    }));
+    this.mus = config.muUrls.map(url => ({
+      url,
+      ao: connect({ CU_URL: config.cuUrls[0], MU_URL: url, GATEWAY_URL: config.gatewayUrl }),
+    }));
+  }
+
+  /**
+   * Run a read against each CU in turn until one succeeds
+   * @param {string} label - Operation name for logs and errors
+   * @param {function(object): Promise<*>} fn - Called with the CU's aoconnect instance
+   * @param {Array<object>} cus - CUs to try, in order
+   * @returns {Promise<{value: *, cu: string}>}
+   */
+  async withCuFailover(label, fn, cus = this.cus) {
+    const errors = [];
+
+    for (const cu of cus) {
+      try {
+        const value = await withTimeout(fn(cu.ao), this.timeoutMs, `${label} on ${cu.url}`);
+        return { value, cu: cu.url };
+      } catch (error) {
+        errors.push(`${cu.url}: ${error.message}`);
+        this.logger.warn(`⚠️ AO ${label} failed on ${cu.url}: ${error.message}${cus.indexOf(cu) < cus.length - 1 ? ' - trying the next CU' : ''}`);
+      }
+    }
+
+    throw new Error(`AO ${label} failed on every CU (${errors.join('; ')})`);
+  }
+
+  /**
+   * Dry-run a message against a process
+   * @param {object} params - aoconnect dryrun parameters
+   * @returns {Promise<object>} Dryrun result (an error response is thrown, not returned)
+   */
+  async dryrun(params) {
+    const { value } = await this.withCuFailover('dryrun', ao => this.checkedDryrun(ao, params));
+    return value;
+  }
+
+  /**
+   * Read the result of a message that was sent to a process
+   * @param {object} params - aoconnect result parameters ({ message, process })
+   * @returns {Promise<object>}
+   */
+  async result(params) {
+    const { value } = await this.withCuFailover('result', ao => ao.result(params));
+    return value;
+  }
+
+  /**
+   * Send a message, failing over to the next MU only if the previous one was unreachable
+   * @param {object} params - aoconnect message parameters
+   * @returns {Promise<string>} Message ID
+   * @throws {MessageOutcomeUnknownError} When the message may have been accepted
+   */
+  async message(params) {
+    let lastError;
+
+    for (const mu of this.mus) {
+      try {
+        return await withTimeout(mu.ao.message(params), this.timeoutMs, `message on ${mu.url}`);
+      } catch (error) {
+        if (!isUnreachable(error)) {
+          // It may have been accepted - retrying could send it twice
+          throw new MessageOutcomeUnknownError(
+            `AO message on ${mu.url} failed and may still have been delivered: ${error.message} - ` +
+            'check the balance or the message status before sending it again',
+            { cause: error }
+          );
+        }
+        lastError = error;
+        this.logger.warn(`⚠️ AO MU ${mu.url} unreachable: ${error.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Dryrun that rejects error responses and responses without messages
+   */
+  async checkedDryrun(ao, params) {
+    const response = await ao.dryrun(params);
+
+    if (!response) {
+      throw new Error('empty dryrun response');
+    }
+    if (response.Error) {
+      throw new Error(`process error: ${typeof response.Error === 'string' ? response.Error : JSON.stringify(response.Error)}`);
+    }
+    if (!Array.isArray(response.Messages) || response.Messages.length === 0) {
+      throw new Error('dryrun returned no messages');
+    }
+
+    return response;
+  }
+
+  /**
+   * Read a token balance from one CU
+   * @returns {Promise<bigint>} Balance in the token's smallest unit
+   */
+  async readBalance(ao, processId, address) {
+    const response = await this.checkedDryrun(ao, {
+      process: processId,
+      tags: [
+        { name: 'Action', value: 'Balance' },
+        { name: 'Target', value: address }
+      ]
+    });
+
+    const data = response.Messages[0].Data;
+    const raw = typeof data === 'number' ? String(data) : String(data ?? '').trim();
+    if (!/^\d+$/.test(raw)) {
+      throw new Error(`unexpected balance data ${JSON.stringify(data)}`);
+    }
+
+    return BigInt(raw);
+  }
+
+  /**
+   * Token balance of an address
+   * @param {string} processId - Token process
+   * @param {string} address - Wallet to check
+   * @param {object} options
+   * @param {boolean} options.crossCheck - Require balanceQuorum CUs to agree (use before acting on a low balance)
+   * @returns {Promise<{balanceRaw: bigint, cus: Array<string>, readings: Array<bigint>}>}
+   *   When cross-checked, the highest of the agreeing readings, so a top-up never buys
+   *   more than the CUs agree is missing
+   */
+  async getBalance(processId, address, { crossCheck = false } = {}) {
+    const needed = crossCheck ? this.balanceQuorum : 1;
+    if (this.cus.length < needed) {
+      throw new Error(`Balance cross-check needs ${this.balanceQuorum} CUs but only ${this.cus.length} configured`);
+    }
+
+    const readings = [];
+    const cus = [];
+    let remaining = [...this.cus];
+
+    while (readings.length < needed) {
+      if (remaining.length === 0) {
+        throw new Error(`Only ${readings.length} of ${needed} CUs returned a balance for ${address}`);
+      }
+
+      const { value, cu } = await this.withCuFailover('balance read', ao => this.readBalance(ao, processId, address), remaining);
+      readings.push(value);
+      cus.push(cu);
+      remaining = remaining.slice(remaining.findIndex(candidate => candidate.url === cu) + 1);
+    }
+
+    if (readings.length > 1) {
+      const highest = readings.reduce((a, b) => (a > b ? a : b));
+      const lowest = readings.reduce((a, b) => (a < b ? a : b));
+      const spreadPercent = highest === 0n ? 0 : Number((highest - lowest) * 10000n / highest) / 100;
+
+      if (spreadPercent > this.balanceTolerancePercent) {
+        throw new Error(
+          `CUs disagree on the balance of ${address}: ` +
+          cus.map((cu, index) => `${cu}=${readings[index]}`).join(', ') +
+          ` (${spreadPercent}% apart, tolerance ${this.balanceTolerancePercent}%)`
+        );
+      }
+    }
+
+    return {
+      balanceRaw: readings.reduce((a, b) => (a > b ? a : b)),
+      cus,
+      readings,
+    };
+  }
+}
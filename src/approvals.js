@@ -0,0 +1,198 @@
+import { join } from 'path';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+/**
+ * Human approval gate for top-up swaps
+ *
+ * Before a run spends USDC, its quote is checked against the approval policy: USDC above
+ * a limit, price impact above a limit, or the first run after the configuration changed.
+ * A run that matches waits in the awaiting_approval state until someone approves or
+ * rejects it (Slack buttons or the HTTP endpoint), or the request expires.
+ */
+
+export const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+};
+
+// Slack rejects interaction requests older than this as replays
+const SLACK_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Parse APPROVAL_TOKENS ("name:token,name:token")
+ * @param {string} value - Environment value
+ * @returns {Array<{name: string, token: string}>}
+ */
+export function parseApprovalTokens(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { name: '', token: entry }
+        : { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+    });
+}
+
+/**
+ * Compare secrets without leaking their contents through timing
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+export class ApprovalGate {
+  /**
+   * @param {object} config - Approval policy
+   * @param {number|null} config.usdcAbove - Require approval for swaps spending more USDC than this
+   * @param {number|null} config.priceImpactAbove - Require approval above this price impact (%)
+   * @param {boolean} config.onConfigChange - Require approval for the first run after the configuration changed
+   * @param {number} config.timeoutMinutes - Abort runs not decided within this time
+   * @param {Array<{name: string, token: string}>} config.tokens - Bearer tokens for the HTTP endpoint
+   * @param {string} config.slackSigningSecret - Verifies Slack button clicks
+   * @param {Array<string>} config.slackApproverIds - Slack users allowed to decide (empty allows no one)
+   * @param {object} logger - Winston logger instance
+   * @param {string} filename - State file, relative to the working directory
+   * @param {object} options
+   * @param {boolean} options.persist - Write to disk (false in dry run mode)
+   */
+  constructor(config, logger, filename = 'approval-state.json', { persist = true } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.filepath = join(process.cwd(), filename);
+    this.persist = persist;
+    this.state = persist ? readJsonFile(this.filepath, { configFingerprint: null }) : { configFingerprint: null };
+  }
+
+  /**
+   * Whether any approval rule is configured
+   */
+  isEnabled() {
+    return this.config.usdcAbove !== null || this.config.priceImpactAbove !== null || this.config.onConfigChange;
+  }
+
+  /**
+   * Hash of the settings whose change should trigger an approval
+   * @param {object} settings - Relevant configuration (targets, contracts, swap limits)
+   * @returns {string}
+   */
+  fingerprint(settings) {
+    return createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+  }
+
+  /**
+   * Why a swap needs approval
+   * @param {object} swap
+   * @param {number} swap.usdcAmount - USDC the swap spends
+   * @param {number} swap.priceImpact - Quoted price impact (%)
+   * @param {string} swap.configFingerprint - fingerprint() of the current configuration
+   * @returns {Array<string>} Reasons (empty when no approval is needed)
+   */
+  check({ usdcAmount, priceImpact, configFingerprint }) {
+    const reasons = [];
+
+    if (this.config.usdcAbove !== null && usdcAmount > this.config.usdcAbove) {
+      reasons.push(`Spends ${usdcAmount.toFixed(2)} USDC (approval required above ${this.config.usdcAbove} USDC)`);
+    }
+    if (this.config.priceImpactAbove !== null && priceImpact > this.config.priceImpactAbove) {
+      reasons.push(`Price impact ${priceImpact.toFixed(3)}% (approval required above ${this.config.priceImpactAbove}%)`);
+    }
+    if (this.config.onConfigChange && configFingerprint !== this.state.configFingerprint) {
+      reasons.push(this.state.configFingerprint
+        ? 'First run since the configuration changed'
+        : 'First run with approvals for configuration changes enabled');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Remember the configuration a swap went ahead with, so only later changes need approval
+   * @param {string} configFingerprint - fingerprint() of the configuration
+   */
+  recordRun(configFingerprint) {
+    if (this.state.configFingerprint === configFingerprint) return;
+    this.state.configFingerprint = configFingerprint;
+    if (this.persist) {
+      writeJsonFile(this.filepath, this.state);
+    }
+  }
+
+  /**
+   * Approval record for a run that needs one
+   * @param {Array<string>} reasons - From check()
+   * @returns {object}
+   */
+  createRequest(reasons) {
+    const requestedAt = new Date();
+    return {
+      status: APPROVAL_STATUS.PENDING,
+      reasons,
+      requestedAt: requestedAt.toISOString(),
+      expiresAt: new Date(requestedAt.getTime() + this.config.timeoutMinutes * 60000).toISOString(),
+      decidedBy: null,
+      decidedAt: null,
+      via: null,
+      message: null,
+    };
+  }
+
+  /**
+   * Whether a pending request has run out of time
+   * @param {object} approval - Record from createRequest()
+   */
+  isExpired(approval) {
+    return approval.status === APPROVAL_STATUS.PENDING && Date.now() > Date.parse(approval.expiresAt);
+  }
+
+  /**
+   * Identify the caller of the HTTP endpoint
+   * @param {string|undefined} authorization - Authorization header ("Bearer <token>")
+   * @returns {string|null} Name of the token's owner, or null if the token is not valid
+   */
+  authenticateToken(authorization) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+    if (!match) return null;
+
+    const owner = this.config.tokens.find(({ token }) => safeEqual(token, match[1].trim()));
+    if (!owner) return null;
+    return owner.name || 'api-token';
+  }
+
+  /**
+   * Check that a request really came from Slack (signed with the app's signing secret)
+   * @param {string} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifySlackSignature(rawBody, headers) {
+    if (!this.config.slackSigningSecret) return false;
+
+    const timestamp = Number(headers['x-slack-request-timestamp']);
+    const signature = headers['x-slack-signature'];
+    if (!timestamp || !signature || Math.abs(Date.now() / 1000 - timestamp) > SLACK_MAX_AGE_SECONDS) {
+      return false;
+    }
+
+    const expected = 'v0=' + createHmac('sha256', this.config.slackSigningSecret)
+      .update(`v0:${timestamp}:${rawBody}`)
+      .digest('hex');
+    return safeEqual(expected, signature);
+  }
+
+  /**
+   * Whether a Slack user may approve or reject runs. Nobody may when no approvers are
+   * configured: anyone who can see the channel could otherwise approve a swap.
+   * @param {string} userId - Slack user ID
+   */
+  isSlackApprover(userId) {
+    return this.config.slackApproverIds.includes(userId);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Target wallet balance history and consumption forecast
+ *
+ * Every balance reading is stored in the ledger's balance_snapshots table and read back
+ * as a time series per wallet. The burn rate is an exponential moving average of the
+ * consumption between consecutive readings, weighted by time (a reading half-life hours
+ * old counts half as much). Intervals in which the balance went up (a top-up arrived) say
+ * nothing about consumption and are skipped.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Readings used are at least this far apart, so frequent /status polling does not
+// crowd out the history
+const MIN_READING_INTERVAL_MS = 10 * 60 * 1000;
+
+export class BalanceHistory {
+  /**
+   * @param {object} config - Forecast settings
+   * @param {number} config.halfLifeHours - Half-life of the burn rate average
+   * @param {number} config.minReadings - Readings needed before a burn rate is reported
+   * @param {number} config.retentionDays - Readings older than this are dropped
+   * @param {object} logger - Winston logger instance
+   * @param {Ledger} ledger - Where readings are stored (in memory for dry runs)
+   */
+  constructor(config, logger, ledger) {
+    this.config = config;
+    this.logger = logger;
+    this.ledger = ledger;
+  }
+
+  /**
+   * Record a balance reading
+   * @param {string} address - Target wallet address
+   * @param {number} balance - Balance in ARIO
+   * @param {number} now - Timestamp (ms)
+   */
+  record(address, balance, now = Date.now()) {
+    this.ledger.recordBalance(address, balance, new Date(now).toISOString());
+  }
+
+  /**
+   * Readings for a wallet within the retention period, oldest first
+   * @param {string} address - Target wallet address
+   * @param {number} now - Timestamp (ms)
+   * @returns {Array<{at: string, balance: number}>}
+   */
+  getReadings(address, now = Date.now()) {
+    const since = new Date(now - this.config.retentionDays * 24 * HOUR_MS).toISOString();
+    const series = [];
+
+    for (const reading of this.ledger.getBalanceSnapshots(address, since)) {
+      // The latest reading moves forward until it is far enough from the one before it
+      const previous = series[series.length - 2];
+      if (previous && Date.parse(reading.at) - Date.parse(previous.at) < MIN_READING_INTERVAL_MS) {
+        series.pop();
+      }
+      series.push(reading);
+    }
+
+    return series;
+  }
+
+  /**
+   * Exponential moving average of a wallet's consumption
+   * @param {string} address - Target wallet address
+   * @returns {{perHour: number|null, intervals: number}} perHour is null until there are enough readings
+   */
+  getBurnRate(address) {
+    const series = this.getReadings(address);
+    let perHour = null;
+    let intervals = 0;
+
+    for (let i = 1; i < series.length; i++) {
+      const hours = (Date.parse(series[i].at) - Date.parse(series[i - 1].at)) / HOUR_MS;
+      const consumed = series[i - 1].balance - series[i].balance;
+      if (hours <= 0 || consumed < 0) continue;
+
+      const rate = consumed / hours;
+      const weight = 1 - Math.pow(0.5, hours / this.config.halfLifeHours);
+      perHour = perHour === null ? rate : perHour + weight * (rate - perHour);
+      intervals += 1;
+    }
+
+    if (intervals < this.config.minReadings - 1) {
+      return { perHour: null, intervals };
+    }
+    return { perHour, intervals };
+  }
+
+  /**
+   * When a wallet will reach a balance at its current burn rate
+   * @param {string} address - Target wallet address
+   * @param {number} balance - Balance to project from (ARIO)
+   * @param {number} minBalance - Balance to project to (ARIO)
+   * @param {number} now - Timestamp (ms)
+   * @returns {{burnPerDay: number|null, daysOfCover: number|null, minimumAt: string|null}}
+   *   daysOfCover is how long the balance lasts until it is empty; minimumAt is null when the
+   *   burn rate is unknown or zero
+   */
+  forecast(address, balance, minBalance, now = Date.now()) {
+    const { perHour } = this.getBurnRate(address);
+    if (perHour === null) {
+      return { burnPerDay: null, daysOfCover: null, minimumAt: null };
+    }
+    if (perHour <= 0) {
+      return { burnPerDay: 0, daysOfCover: null, minimumAt: null };
+    }
+
+    const hoursToMinimum = Math.max(0, (balance - minBalance) / perHour);
+    return {
+      burnPerDay: perHour * 24,
+      daysOfCover: balance / (perHour * 24),
+      minimumAt: new Date(now + hoursToMinimum * HOUR_MS).toISOString(),
+    };
+  }
+}
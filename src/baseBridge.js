@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { lookupTransactionStatus } from './txManager.js';
 
 // Minimal ABI for ERC20 token interactions
 const ERC20_ABI = [
@@ -23,12 +24,20 @@ const DEFAULT_CONTRACTS = {
 };
 
 export class BaseBridge {
-  constructor(config, logger, provider = null, wallet = null) {
+  /**
+   * @param {object} config - Base configuration (rpcUrls, privateKey, contract addresses)
+   * @param {object} logger - Winston logger instance
+   * @param {object} provider - Optional shared ethers provider
+   * @param {object} wallet - Optional shared ethers wallet
+   * @param {TransactionManager|null} txManager - Shared transaction manager for Base writes (null when
+   *   opened read-only: transactions can be looked up but not sent)
+   */
+  constructor(config, logger, provider = null, wallet = null, txManager = null) {
     this.logger = logger;
     this.config = config;
 
     // Use provided provider/wallet or create new ones
-    this.provider = provider || new ethers.JsonRpcProvider(config.rpcUrl);
+    this.provider = provider || new ethers.JsonRpcProvider(config.rpcUrls[0]);
     this.wallet = wallet || new ethers.Wallet(config.privateKey, this.provider);
 
     // Contract addresses
@@ -39,11 +48,24 @@ export class BaseBridge {
     this.arioContract = new ethers.Contract(this.arioAddress, ARIO_ABI, this.wallet);
     this.usdcContract = new ethers.Contract(this.usdcAddress, ERC20_ABI, this.wallet);
 
+    // Every write goes through the transaction manager (nonces, fee caps, stuck-tx replacement)
+    this.txManager = txManager;
+
     // Token decimals (both ARIO and USDC are 6 decimals on Base)
     this.arioDecimals = 6;
     this.usdcDecimals = 6;
   }
 
+  /**
+   * Send a transaction through the transaction manager
+   */
+  sendTransaction(label, request, hooks = {}) {
+    if (!this.txManager) {
+      throw new Error(`Cannot send the ${label} transaction: Base was opened read-only`);
+    }
+    return this.txManager.send(label, request, hooks);
+  }
+
   /**
    * Get the wallet address
    */
@@ -177,8 +199,14 @@ export class BaseBridge {
 
       this.logger.info(`Approving USDC spending for ${spenderAddress}...`);
 
-      const tx = await this.usdcContract.approve(spenderAddress, approvalAmount);
-      const receipt = await tx.wait();
+      const receipt = await this.sendTransaction('approve', {
+        to: this.usdcAddress,
+        data: this.usdcContract.interface.encodeFunctionData('approve', [spenderAddress, approvalAmount]),
+      });
+
+      if (receipt.status !== 1) {
+        throw new Error('USDC approval transaction failed');
+      }
 
       this.logger.info(`USDC approval confirmed: ${receipt.hash}`);
 
@@ -198,9 +226,11 @@ export class BaseBridge {
    * @param {number} amount - Amount in ARIO tokens (not smallest units)
    * @param {string} aoDestinationAddress - Destination wallet address on AO
    * @param {boolean} dryRun - If true, simulate without executing
-   * @returns {Promise<{txHash: string, amount: number, aoDestination: string, gasUsed: string}>}
+   * @param {object} hooks - Optional callbacks
+   * @param {function} hooks.onSubmitted - Called with the tx hash once the burn is broadcast, before confirmation
+   * @returns {Promise<{txHash: string, amount: number, aoDestination: string, gasUsed: string, gasPrice: string}>}
    */
-  async burnToAO(amount, aoDestinationAddress, dryRun = false) {
+  async burnToAO(amount, aoDestinationAddress, dryRun = false, hooks = {}) {
     try {
       // Round to max 6 decimals (ARIO precision) to avoid parseUnits errors
       const amountRounded = Math.floor(amount * 1e6) / 1e6;
@@ -228,12 +258,11 @@ export class BaseBridge {
         throw new Error(`Insufficient ARIO balance. Have: ${balance.balanceFormatted.toFixed(2)}, Need: ${amount.toFixed(2)}`);
       }
 
-      // Execute burn
-      const tx = await this.arioContract.burn(amountInSmallestUnit, aoDestinationAddress);
-      this.logger.info(`Burn transaction submitted: ${tx.hash}`);
-
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      // Execute burn (onSubmitted also fires for every speed-up, so callers track the latest hash)
+      const receipt = await this.sendTransaction('burn', {
+        to: this.arioAddress,
+        data: this.arioContract.interface.encodeFunctionData('burn', [amountInSmallestUnit, aoDestinationAddress]),
+      }, hooks);
 
       this.logger.info(`Burn confirmed in block ${receipt.blockNumber}`);
       this.logger.info(`├─ Transaction hash: ${receipt.hash}`);
@@ -244,13 +273,21 @@ export class BaseBridge {
         throw new Error('Burn transaction failed');
       }
 
+      const burnEvent = this.decodeBurnEvent(receipt);
+      if (burnEvent && burnEvent.arweaveAddress !== aoDestinationAddress) {
+        this.logger.error(`Burn event destination ${burnEvent.arweaveAddress} does not match requested ${aoDestinationAddress}`);
+      }
+
       return {
         success: true,
         txHash: receipt.hash,
         amount,
         aoDestination: aoDestinationAddress,
         gasUsed: receipt.gasUsed.toString(),
+        // effectiveGasPrice of the receipt, in wei
+        gasPrice: receipt.gasPrice.toString(),
         blockNumber: receipt.blockNumber,
+        burnEvent,
       };
     } catch (error) {
       this.logger.error('Failed to burn ARIO:', error);
@@ -258,6 +295,57 @@ export class BaseBridge {
     }
   }
 
+  /**
+   * Decode the ARIO Burn event from a burn transaction receipt
+   * @param {object} receipt - Transaction receipt
+   * @returns {{from: string, amountRaw: string, amount: number, arweaveAddress: string, blockNumber: number, logIndex: number}|null}
+   *   The event, or null if the receipt has none
+   */
+  decodeBurnEvent(receipt) {
+    for (const log of receipt.logs || []) {
+      if (log.address.toLowerCase() !== this.arioAddress.toLowerCase()) continue;
+
+      let parsed;
+      try {
+        parsed = this.arioContract.interface.parseLog(log);
+      } catch {
+        continue;
+      }
+
+      if (parsed?.name === 'Burn') {
+        return {
+          from: parsed.args.from,
+          amountRaw: parsed.args.amount.toString(),
+          amount: parseFloat(ethers.formatUnits(parsed.args.amount, this.arioDecimals)),
+          arweaveAddress: parsed.args.arweaveAddress,
+          blockNumber: receipt.blockNumber,
+          logIndex: log.index,
+        };
+      }
+    }
+
+    this.logger.warn(`No Burn event found in receipt ${receipt.hash}`);
+    return null;
+  }
+
+  /**
+   * Look up the outcome of a previously submitted transaction
+   * @param {string} txHash - Transaction hash (a replaced transaction resolves to its replacement)
+   * @param {number} timeoutMs - How long to wait for a pending transaction to confirm
+   * @returns {Promise<{status: 'success'|'failed'|'pending'|'not_found', receipt: object|null, txHash: string}>}
+   */
+  async getTransactionStatus(txHash, timeoutMs = 5 * 60 * 1000) {
+    try {
+      if (!this.txManager) {
+        return await lookupTransactionStatus(this.provider, this.logger, txHash, timeoutMs);
+      }
+      return await this.txManager.getTransactionStatus(txHash, timeoutMs);
+    } catch (error) {
+      this.logger.error(`Failed to get transaction status for ${txHash}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Estimate gas for burn transaction
    * @param {number} amount - Amount in ARIO tokens
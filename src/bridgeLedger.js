@@ -0,0 +1,173 @@
+import { join } from 'path';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+/**
+ * Ledger of Base → AO bridge burns awaiting their Credit-Notice
+ *
+ * Every burn is recorded here as soon as it confirms on Base. Instead of blocking
+ * a run until the bridge credits the AO wallet, the bot checks pending entries on a
+ * timer and at the start of every cycle, and escalates entries that are still
+ * uncredited after the configured deadline.
+ */
+
+export const BRIDGE_STATUS = {
+  PENDING: 'pending',
+  ESCALATED: 'escalated',
+  CREDITED: 'credited',
+};
+
+// Credited entries kept for inspection
+const MAX_CREDITED_ENTRIES = 500;
+
+export class BridgeLedger {
+  /**
+   * @param {string} filename - Ledger file, relative to the working directory
+   * @param {object} options
+   * @param {boolean} options.persist - Write to disk (false in dry run mode)
+   */
+  constructor(filename = 'bridge-ledger.json', { persist = true } = {}) {
+    this.filepath = join(process.cwd(), filename);
+    this.persist = persist;
+    this.entries = persist ? readJsonFile(this.filepath, { entries: [] }).entries : [];
+  }
+
+  /**
+   * Record a confirmed burn. Recording the same burn twice is a no-op.
+   * @param {object} burn
+   * @param {string} burn.runId - Journal run the burn belongs to
+   * @param {string|null} burn.txHash - Base burn transaction hash (null if the outcome was never observed)
+   * @param {string} burn.address - Destination AO wallet
+   * @param {string} burn.label - Target label
+   * @param {number} burn.amount - Amount burned in ARIO
+   * @param {string} burn.burnedAt - ISO timestamp of the burn
+   * @param {object|null} burn.burnEvent - Burn event decoded from the receipt (exact amount and destination)
+   * @returns {object} The ledger entry
+   */
+  recordBurn({ runId, txHash, address, label, amount, burnedAt, burnEvent = null }) {
+    const id = txHash || `${runId}:${address}`;
+    const existing = this.entries.find(entry => entry.id === id);
+    if (existing) return existing;
+
+    const entry = {
+      id,
+      runId,
+      txHash,
+      address,
+      label,
+      amount,
+      burnedAt,
+      burnEvent,
+      status: BRIDGE_STATUS.PENDING,
+      checks: 0,
+      lastCheckedAt: null,
+      creditId: null,
+      creditAmount: null,
+      creditReference: null,
+      matchedBy: null,
+      creditedAt: null,
+      escalatedAt: null,
+      alert: null,
+    };
+
+    this.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Entries still waiting for a Credit-Notice (pending or escalated), oldest first
+   * @returns {Array<object>}
+   */
+  getUncredited() {
+    return this.entries
+      .filter(entry => entry.status !== BRIDGE_STATUS.CREDITED)
+      .sort((a, b) => Date.parse(a.burnedAt) - Date.parse(b.burnedAt));
+  }
+
+  /**
+   * Entries whose Credit-Notice has been matched, oldest first
+   * @returns {Array<object>}
+   */
+  getCredited() {
+    return this.entries
+      .filter(entry => entry.status === BRIDGE_STATUS.CREDITED)
+      .sort((a, b) => Date.parse(a.burnedAt) - Date.parse(b.burnedAt));
+  }
+
+  /**
+   * Look up the entry for a burn transaction
+   * @param {string} txHash - Base burn transaction hash
+   * @returns {object|undefined}
+   */
+  getByTxHash(txHash) {
+    return this.entries.find(entry => entry.txHash?.toLowerCase() === txHash.toLowerCase());
+  }
+
+  /**
+   * Credit-Notice IDs already matched to a burn
+   * @returns {Set<string>}
+   */
+  getClaimedCreditIds() {
+    return new Set(this.entries.filter(entry => entry.creditId).map(entry => entry.creditId));
+  }
+
+  /**
+   * Note that an entry was checked without finding its credit
+   * @param {object} entry - Ledger entry
+   */
+  markChecked(entry) {
+    entry.checks += 1;
+    entry.lastCheckedAt = new Date().toISOString();
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Pair an entry with its Credit-Notice
+   * @param {object} entry - Ledger entry
+   * @param {object} credit - Matching Credit-Notice from verifyBridgeCredit() ({ id, quantityArio, reference })
+   * @param {string} matchedBy - How the pair was made ('reference' or 'amount')
+   */
+  markCredited(entry, credit, matchedBy) {
+    Object.assign(entry, {
+      status: BRIDGE_STATUS.CREDITED,
+      creditId: credit.id,
+      creditAmount: credit.quantityArio,
+      creditReference: credit.reference || null,
+      matchedBy,
+      creditedAt: new Date().toISOString(),
+      checks: entry.checks + 1,
+      lastCheckedAt: new Date().toISOString(),
+    });
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Mark an entry as escalated to operators
+   * @param {object} entry - Ledger entry
+   * @param {object|null} alert - Reference to the posted alert ({ channel, ts }) so it can be resolved later
+   */
+  markEscalated(entry, alert) {
+    Object.assign(entry, {
+      status: BRIDGE_STATUS.ESCALATED,
+      escalatedAt: new Date().toISOString(),
+      alert,
+    });
+    this.save();
+    return entry;
+  }
+
+  save() {
+    if (!this.persist) return;
+
+    // Keep every uncredited entry, but only the most recent credited ones
+    const credited = this.entries.filter(entry => entry.status === BRIDGE_STATUS.CREDITED);
+    if (credited.length > MAX_CREDITED_ENTRIES) {
+      const drop = new Set(credited.slice(0, credited.length - MAX_CREDITED_ENTRIES));
+      this.entries = this.entries.filter(entry => !drop.has(entry));
+    }
+
+    writeJsonFile(this.filepath, { entries: this.entries });
+  }
+}
@@ -1,141 +1,202 @@
-import https from 'https';
+import { GraphQLClient } from './graphqlClient.js';
 
 // The Base bridge's AO wallet address (sends Credit-Notice when bridging)
 const BASE_BRIDGE_AO_ADDRESS = 'mFRKcHsO6Tlv2E2wZcrcbv3mmzxzD7vYPbyybI3KCVA';
 const ARIO_PROCESS_ID = 'qNvAoz0TgcH7DMg8BCVn8jF32QH5L6T29VjHxhHqqGE';
 
+// Allowed clock skew between Base and Arweave block times
+const CLOCK_SKEW_SECONDS = 5 * 60;
+
+// Used when the caller does not pass its own client (arweave.net only)
+const defaultClient = new GraphQLClient();
+
+const CREDIT_NOTICES_QUERY = `
+  query CreditNotices($recipients: [String!], $first: Int, $after: String) {
+    transactions(
+      recipients: $recipients
+      tags: [
+        { name: "Action", values: ["Credit-Notice"] }
+        { name: "From-Process", values: ["${ARIO_PROCESS_ID}"] }
+        { name: "Sender", values: ["${BASE_BRIDGE_AO_ADDRESS}"] }
+      ]
+      first: $first
+      after: $after
+      sort: HEIGHT_DESC
+    ) {
+      pageInfo {
+        hasNextPage
+      }
+      edges {
+        cursor
+        node {
+          id
+          tags {
+            name
+            value
+          }
+          block {
+            timestamp
+            height
+          }
+        }
+      }
+    }
+  }
+`;
+
 /**
- * Query Arweave GraphQL for Credit-Notice transactions
- * @param {string} query - GraphQL query
- * @returns {Promise<object>} Query result
+ * Find the Base transaction hash a Credit-Notice refers to, if the bridge tagged one.
+ * Only the bridge's reference tag is read: other hash-shaped tags (message IDs, data
+ * hashes) say nothing about which burn the notice is for.
+ * @param {Array<{name: string, value: string}>} tags - Credit-Notice tags
+ * @param {string|null} referenceTag - Name of the tag the bridge puts the burn hash in (null: none)
+ * @returns {string|null} Lower-case 0x-prefixed hash, or null if the notice carries no reference
  */
-function queryGraphQL(query) {
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify({ query });
-
-    const options = {
-      hostname: 'arweave.net',
-      path: '/graphql',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
+export function getCreditReference(tags = [], referenceTag = null) {
+  if (!referenceTag) return null;
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error('Failed to parse GraphQL response'));
-        }
-      });
+  const value = String(tags.find(tag => tag.name === referenceTag)?.value || '').trim();
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(value)) return null;
+  return (value.startsWith('0x') ? value : `0x${value}`).toLowerCase();
+}
+
+/**
+ * Pick the Credit-Notice that belongs to a specific burn, one-to-one.
+ *
+ * A notice that references a Base transaction only ever matches that transaction.
+ * Notices without a reference fall back to the exact burned amount (from the Burn
+ * event) or, when that is unknown, the amount within a tolerance. Notices older than
+ * the burn, notices already claimed by another burn and notices whose Quantity is not
+ * a whole number of mARIO are never matched.
+ * @param {object} burn - The burn to match
+ * @param {string|null} burn.txHash - Base burn transaction hash
+ * @param {number} burn.amount - Amount burned in ARIO
+ * @param {string|null} burn.amountRaw - Exact amount from the Burn event, in mARIO
+ * @param {number|null} burn.burnedAt - Unix seconds of the burn (null to skip the age check)
+ * @param {Array<object>} credits - Candidates from getRecentBridgeCredits()
+ * @param {object} options
+ * @param {Set<string>} options.excludeIds - Credit-Notice IDs already matched to other burns
+ * @param {number} options.tolerancePercent - Amount tolerance when the exact amount is unknown (default 1%)
+ * @returns {{credit: object, matchedBy: 'reference'|'amount'}|null}
+ */
+export function matchBridgeCredit(burn, credits, options = {}) {
+  const { excludeIds = new Set(), tolerancePercent = 1 } = options;
+  const txHash = burn.txHash ? burn.txHash.toLowerCase() : null;
+
+  const earliest = burn.burnedAt ? burn.burnedAt - CLOCK_SKEW_SECONDS : null;
+
+  const candidates = credits
+    .filter(credit => !excludeIds.has(credit.txId))
+    .filter(credit => !earliest || !credit.blockTimestamp || credit.blockTimestamp >= earliest)
+    // Oldest first, so earlier burns claim earlier credits (unmined credits last)
+    .sort((a, b) => {
+      if (!a.blockTimestamp || !b.blockTimestamp) return !a.blockTimestamp - !b.blockTimestamp;
+      return a.blockTimestamp - b.blockTimestamp;
     });
 
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  if (txHash) {
+    const referenced = candidates.find(credit => credit.reference === txHash);
+    if (referenced) {
+      return { credit: referenced, matchedBy: 'reference' };
+    }
+  }
+
+  const expectedMario = burn.amountRaw ? BigInt(burn.amountRaw) : null;
+  const approxMario = Math.floor(burn.amount * 1e6);
+  const toleranceMario = Math.floor(approxMario * (tolerancePercent / 100));
+
+  const byAmount = candidates
+    // A notice that points at some other transaction is not ours
+    .filter(credit => !credit.reference)
+    // A missing or malformed Quantity cannot be compared (and would make BigInt() throw)
+    .filter(credit => /^\d+$/.test(credit.quantityRaw || ''))
+    .find(credit => expectedMario !== null
+      ? BigInt(credit.quantityRaw) === expectedMario
+      : Math.abs(credit.quantity - approxMario) <= toleranceMario);
+
+  return byAmount ? { credit: byAmount, matchedBy: 'amount' } : null;
 }
 
 /**
- * Verify that a bridge Credit-Notice was received
+ * Verify that the bridge Credit-Notice for a burn was received
  * @param {string} recipientWallet - The AO wallet that should receive the credit
  * @param {number} expectedAmount - Expected amount in ARIO (not mARIO)
  * @param {object} options - Optional settings
- * @param {number} options.tolerancePercent - Amount tolerance percentage (default 1%)
+ * @param {string} options.burnTxHash - Base burn transaction hash to correlate with
+ * @param {string} options.burnAmountRaw - Exact burned amount in mARIO (from the Burn event)
+ * @param {Set<string>} options.excludeIds - Credit-Notice IDs already matched to other burns
+ * @param {number} options.tolerancePercent - Amount tolerance percentage when the exact amount is unknown (default 1%)
  * @param {number} options.maxAgeMinutes - Max age of transaction to consider (default 30)
- * @returns {Promise<{found: boolean, transaction: object|null, details: string}>}
+ * @param {string|null} options.referenceTag - Tag holding the Base burn hash (see getCreditReference)
+ * @param {GraphQLClient} options.client - GraphQL client (default: arweave.net only)
+ * @returns {Promise<{found: boolean, complete: boolean, transaction: object|null, matchedBy: string|null, details: string}>}
+ *   `complete` is false when the search stopped before reaching notices as old as maxAgeMinutes
  */
 export async function verifyBridgeCredit(recipientWallet, expectedAmount, options = {}) {
-  const { tolerancePercent = 1, maxAgeMinutes = 30 } = options;
-
-  // Convert to mARIO (smallest units)
-  const expectedMario = Math.floor(expectedAmount * 1e6);
-  const toleranceMario = Math.floor(expectedMario * (tolerancePercent / 100));
-  const minAmount = expectedMario - toleranceMario;
-  const maxAmount = expectedMario + toleranceMario;
-
-  const query = `
-    query {
-      transactions(
-        recipients: ["${recipientWallet}"]
-        tags: [
-          { name: "Action", values: ["Credit-Notice"] }
-          { name: "From-Process", values: ["${ARIO_PROCESS_ID}"] }
-          { name: "Sender", values: ["${BASE_BRIDGE_AO_ADDRESS}"] }
-        ]
-        first: 10
-        sort: HEIGHT_DESC
-      ) {
-        edges {
-          node {
-            id
-            tags {
-              name
-              value
-            }
-            block {
-              timestamp
-            }
-          }
-        }
-      }
-    }
-  `;
+  const {
+    burnTxHash = null,
+    burnAmountRaw = null,
+    excludeIds = new Set(),
+    tolerancePercent = 1,
+    maxAgeMinutes = 30,
+    referenceTag = null
+  } = options;
 
-  const result = await queryGraphQL(query);
-  const edges = result.data?.transactions?.edges || [];
+  const now = Math.floor(Date.now() / 1000);
+  const { credits, complete } = await getRecentBridgeCredits(recipientWallet, {
+    client: options.client,
+    since: now - maxAgeMinutes * 60 - CLOCK_SKEW_SECONDS,
+    referenceTag,
+  });
 
-  if (edges.length === 0) {
+  if (credits.length === 0) {
     return {
       found: false,
+      complete,
       transaction: null,
+      matchedBy: null,
       details: 'No Credit-Notice found from Base bridge'
     };
   }
 
-  // Look for matching amount
-  const now = Math.floor(Date.now() / 1000);
-  const maxAge = maxAgeMinutes * 60;
-
-  for (const edge of edges) {
-    const tags = edge.node.tags;
-    const quantityTag = tags.find(t => t.name === 'Quantity');
-    const quantity = quantityTag ? parseInt(quantityTag.value) : 0;
-
-    // Check if amount matches within tolerance
-    if (quantity >= minAmount && quantity <= maxAmount) {
-      // Check age if block timestamp available
-      const blockTimestamp = edge.node.block?.timestamp;
-      if (blockTimestamp && (now - blockTimestamp) > maxAge) {
-        continue; // Too old, skip
-      }
+  const match = matchBridgeCredit(
+    {
+      txHash: burnTxHash,
+      amount: expectedAmount,
+      amountRaw: burnAmountRaw,
+      burnedAt: now - maxAgeMinutes * 60
+    },
+    credits,
+    { excludeIds, tolerancePercent }
+  );
 
-      return {
-        found: true,
-        transaction: {
-          id: edge.node.id,
-          quantity: quantity,
-          quantityArio: quantity / 1e6,
-          sender: BASE_BRIDGE_AO_ADDRESS,
-          recipient: recipientWallet,
-          blockTimestamp
-        },
-        details: `Found matching Credit-Notice: ${quantity / 1e6} ARIO (TX: ${edge.node.id})`
-      };
-    }
+  if (match) {
+    const { credit, matchedBy } = match;
+    return {
+      found: true,
+      complete,
+      transaction: {
+        id: credit.txId,
+        quantity: credit.quantity,
+        quantityArio: credit.quantityArio,
+        sender: BASE_BRIDGE_AO_ADDRESS,
+        recipient: recipientWallet,
+        reference: credit.reference,
+        blockTimestamp: credit.blockTimestamp
+      },
+      matchedBy,
+      details: `Found matching Credit-Notice by ${matchedBy}: ${credit.quantityArio} ARIO (TX: ${credit.txId})`
+    };
   }
 
-  // Found credit notices but none matched amount
-  const latestQuantity = edges[0]?.node?.tags?.find(t => t.name === 'Quantity')?.value;
+  // Found credit notices but none belongs to this burn
+  const latest = credits[0];
   return {
     found: false,
+    complete,
     transaction: null,
-    details: `Credit-Notice found but amount mismatch. Expected: ~${expectedAmount} ARIO, Latest: ${latestQuantity ? (parseInt(latestQuantity) / 1e6).toFixed(2) : 'unknown'} ARIO`
+    matchedBy: null,
+    details: `Credit-Notice found but none matches this burn. Expected: ~${expectedAmount} ARIO${burnTxHash ? ` for ${burnTxHash}` : ''}, Latest: ${latest.quantityArio.toFixed(2)} ARIO`
   };
 }
 
@@ -147,13 +208,15 @@ export async function verifyBridgeCredit(recipientWallet, expectedAmount, option
  * @param {number} options.maxWaitMs - Maximum wait time in ms (default 5 minutes)
  * @param {number} options.pollIntervalMs - Poll interval in ms (default 30 seconds)
  * @param {function} options.onPoll - Callback on each poll attempt
- * @returns {Promise<{success: boolean, transaction: object|null, waitTimeMs: number}>}
+ * @param {string} options.burnTxHash - Other options are passed through to verifyBridgeCredit
+ * @returns {Promise<{success: boolean, transaction: object|null, matchedBy: string|null, waitTimeMs: number}>}
  */
 export async function waitForBridgeCredit(recipientWallet, expectedAmount, options = {}) {
   const {
     maxWaitMs = 5 * 60 * 1000,
     pollIntervalMs = 30 * 1000,
-    onPoll = null
+    onPoll = null,
+    ...verifyOptions
   } = options;
 
   const startTime = Date.now();
@@ -166,12 +229,13 @@ export async function waitForBridgeCredit(recipientWallet, expectedAmount, optio
       onPoll({ attempt: attempts, elapsedMs: Date.now() - startTime });
     }
 
-    const result = await verifyBridgeCredit(recipientWallet, expectedAmount);
+    const result = await verifyBridgeCredit(recipientWallet, expectedAmount, verifyOptions);
 
     if (result.found) {
       return {
         success: true,
         transaction: result.transaction,
+        matchedBy: result.matchedBy,
         waitTimeMs: Date.now() - startTime,
         attempts
       };
@@ -184,62 +248,49 @@ export async function waitForBridgeCredit(recipientWallet, expectedAmount, optio
   return {
     success: false,
     transaction: null,
+    matchedBy: null,
     waitTimeMs: Date.now() - startTime,
     attempts
   };
 }
 
 /**
- * Get recent bridge credits to a wallet
+ * Get bridge credits to a wallet, newest first, paging back until `since`
  * @param {string} recipientWallet - The AO wallet to check
- * @param {number} limit - Max number of results (default 5)
- * @returns {Promise<Array>} List of recent credit notices
+ * @param {object} options
+ * @param {GraphQLClient} options.client - GraphQL client (default: arweave.net only)
+ * @param {number|null} options.since - Unix seconds; older Credit-Notices are not needed
+ *   (null reads as many pages as the client allows)
+ * @param {string|null} options.referenceTag - Tag holding the Base burn hash (see getCreditReference)
+ * @returns {Promise<{credits: Array<object>, complete: boolean}>} Credit notices; `complete`
+ *   is false when the client's page limit stopped the search before `since`
  */
-export async function getRecentBridgeCredits(recipientWallet, limit = 5) {
-  const query = `
-    query {
-      transactions(
-        recipients: ["${recipientWallet}"]
-        tags: [
-          { name: "Action", values: ["Credit-Notice"] }
-          { name: "From-Process", values: ["${ARIO_PROCESS_ID}"] }
-          { name: "Sender", values: ["${BASE_BRIDGE_AO_ADDRESS}"] }
-        ]
-        first: ${limit}
-        sort: HEIGHT_DESC
-      ) {
-        edges {
-          node {
-            id
-            tags {
-              name
-              value
-            }
-            block {
-              timestamp
-              height
-            }
-          }
-        }
-      }
-    }
-  `;
+export async function getRecentBridgeCredits(recipientWallet, options = {}) {
+  const { client = defaultClient, since = null, referenceTag = null } = options;
 
-  const result = await queryGraphQL(query);
-  const edges = result.data?.transactions?.edges || [];
+  const { nodes, complete } = await client.paginateTransactions(
+    CREDIT_NOTICES_QUERY,
+    { recipients: [recipientWallet] },
+    { since }
+  );
 
-  return edges.map(edge => {
-    const tags = edge.node.tags;
+  const credits = nodes.map(node => {
+    const tags = node.tags;
     const quantity = tags.find(t => t.name === 'Quantity')?.value;
 
     return {
-      txId: edge.node.id,
+      txId: node.id,
       quantity: quantity ? parseInt(quantity) : 0,
+      quantityRaw: quantity || null,
       quantityArio: quantity ? parseInt(quantity) / 1e6 : 0,
-      blockHeight: edge.node.block?.height,
-      blockTimestamp: edge.node.block?.timestamp
+      reference: getCreditReference(tags, referenceTag),
+      tags,
+      blockHeight: node.block?.height,
+      blockTimestamp: node.block?.timestamp
     };
   });
+
+  return { credits, complete };
 }
 
-export { BASE_BRIDGE_AO_ADDRESS };
+export { BASE_BRIDGE_AO_ADDRESS, CLOCK_SKEW_SECONDS };
@@ -9,7 +9,8 @@ export const DEFAULTS = {
   MIN_TRANSFER_AMOUNT: 500,
   
   // Trading parameters
-  MAX_SLIPPAGE: 20, // percentage
+  MAX_PRICE_IMPACT: 20, // percentage
+  SLIPPAGE_TOLERANCE_BPS: 50, // basis points (0.5%)
   
   // Scheduling
   CRON_SCHEDULE: '0 */6 * * *', // every 6 hours
@@ -0,0 +1,325 @@
+import { existsSync, readFileSync, writeFileSync, appendFileSync, copyFileSync, renameSync } from 'fs';
+
+/**
+ * CSV layout of the transaction ledger
+ *
+ * Transactions are stored in SQLite (see ledger.js). CSV remains the export format, with
+ * the column layout transactions.csv always had, and older transactions.csv files and
+ * their backups are read once when they are imported into the ledger.
+ *
+ * Files are read as RFC 4180 CSV: quoted fields may contain commas, doubled quotes and
+ * line breaks. Each column layout the bot has written is a numbered schema version. A file
+ * names its version in an optional first line (`#schema_version=2`); without it the version
+ * is recognised from the header. Rows of older versions are upgraded to the current layout
+ * as they are read.
+ */
+
+export const CSV_HEADERS = [
+  'timestamp',
+  'transaction_type',
+  'chain',
+  'from_token',
+  'from_amount',
+  'to_token',
+  'to_amount',
+  'exchange_rate',
+  'slippage_percent',
+  'from_wallet',
+  'to_wallet',
+  'tx_id',
+  'base_tx_hash',
+  'ao_destination',
+  'gas_used',
+  'order_id',
+  'settlement_id',
+  'notes'
+];
+
+export const CSV_SCHEMA_VERSION = 2;
+
+// Column layouts by schema version; upgrade() turns a record into the next version's layout
+const SCHEMAS = {
+  // Permaswap era: AO swaps and transfers only
+  1: {
+    headers: [
+      'timestamp',
+      'transaction_type',
+      'from_token',
+      'from_amount',
+      'to_token',
+      'to_amount',
+      'exchange_rate',
+      'slippage_percent',
+      'from_wallet',
+      'to_wallet',
+      'tx_id',
+      'order_id',
+      'settlement_id',
+      'notes'
+    ],
+    upgrade: record => ({ ...record, chain: 'ao', base_tx_hash: '', ao_destination: '', gas_used: '' }),
+  },
+  2: { headers: CSV_HEADERS },
+};
+
+const MARKER_PATTERN = /^#\s*schema_version\s*=\s*(\d+)\s*$/;
+
+/**
+ * Quote a value when it contains a separator, quote or line break
+ */
+export function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+/**
+ * Split CSV text into records (RFC 4180)
+ *
+ * Records end at a line break (LF or CRLF) outside quotes; blank lines are skipped. A record
+ * with a stray quote or an unterminated quoted field is returned with an error instead of
+ * being guessed at.
+ * @param {string} text - File contents
+ * @returns {Array<{line: number, fields: Array<string>, raw: string, error: string|null}>}
+ *   line is the line the record starts on; raw is its text as it appears in the file
+ */
+export function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let error = null;
+  let line = 1;
+  let startLine = 1;
+  let start = 0;
+
+  const endRecord = end => {
+    const blank = fields.length === 0 && field === '' && !quoted;
+    if (!blank) {
+      fields.push(field);
+      records.push({ line: startLine, fields, raw: text.slice(start, end).replace(/\r$/, ''), error });
+    }
+    fields = [];
+    field = '';
+    quoted = false;
+    error = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      if (field === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else {
+        error = error || `stray quote in field ${fields.length + 1}`;
+        field += char;
+      }
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+      quoted = false;
+    } else if (char === '\n') {
+      endRecord(i);
+      line++;
+      startLine = line;
+      start = i + 1;
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      // Part of a CRLF line break
+    } else {
+      if (quoted) {
+        error = error || `text after the closing quote in field ${fields.length + 1}`;
+      }
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    error = 'unterminated quoted field';
+  }
+  endRecord(text.length);
+
+  return records;
+}
+
+/**
+ * Schema version of a header row
+ * @param {Array<string>} header - Column names
+ * @param {number|null} markedVersion - Version named by the file's marker line
+ * @returns {number|null} null when no known layout has these columns
+ */
+function detectVersion(header, markedVersion) {
+  const matches = version => {
+    const expected = SCHEMAS[version]?.headers;
+    return !!expected && expected.length === header.length && expected.every(column => header.includes(column));
+  };
+
+  if (markedVersion !== null) {
+    return matches(markedVersion) ? markedVersion : null;
+  }
+  const version = Object.keys(SCHEMAS).map(Number).sort((a, b) => b - a).find(matches);
+  return version ?? null;
+}
+
+/**
+ * Bring a record from an older schema version up to the current layout
+ */
+function upgradeRecord(record, version) {
+  let upgraded = record;
+  for (let from = version; from < CSV_SCHEMA_VERSION; from++) {
+    upgraded = SCHEMAS[from].upgrade(upgraded);
+  }
+  return Object.fromEntries(CSV_HEADERS.map(header => [header, upgraded[header] ?? '']));
+}
+
+/**
+ * Why a parsed data row cannot be used, if it cannot
+ */
+function validateRow(row, header) {
+  if (row.error) return row.error;
+  if (row.fields.length !== header.length) {
+    return `${row.fields.length} fields, expected ${header.length}`;
+  }
+
+  const value = column => row.fields[header.indexOf(column)];
+  if (isNaN(Date.parse(value('timestamp')))) {
+    return `invalid timestamp "${value('timestamp')}"`;
+  }
+  if (!value('transaction_type')) {
+    return 'missing transaction_type';
+  }
+  return null;
+}
+
+/**
+ * Read a transactions CSV file
+ * @param {string} filepath - Absolute path to the file
+ * @returns {{version: number, marked: boolean, records: Array<object>, malformed: Array<{line: number, error: string, raw: string}>}}
+ *   marked tells whether the file starts with a schema version line; records are keyed by the
+ *   current CSV headers (upgraded from the file's version), in file order; malformed rows are
+ *   left out of records
+ */
+export function readCsvFile(filepath) {
+  const rows = parseCsv(readFileSync(filepath, 'utf-8').replace(/^\uFEFF/, ''));
+
+  let markedVersion = null;
+  const marker = rows[0]?.fields.length === 1 ? rows[0].fields[0].match(MARKER_PATTERN) : null;
+  if (marker) {
+    markedVersion = parseInt(marker[1]);
+    rows.shift();
+    if (!SCHEMAS[markedVersion]) {
+      throw new Error(`Unknown schema version ${markedVersion} (this version of the bot reads 1 to ${CSV_SCHEMA_VERSION})`);
+    }
+  }
+
+  if (rows.length === 0) {
+    return { version: markedVersion ?? CSV_SCHEMA_VERSION, marked: !!marker, records: [], malformed: [] };
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const header = headerRow.fields.map(column => column.trim());
+  const version = headerRow.error ? null : detectVersion(header, markedVersion);
+  if (version === null) {
+    throw new Error(
+      `Header mismatch - columns do not match ${markedVersion !== null ? `schema version ${markedVersion}` : 'any known schema version'} (${header.join(',')})`
+    );
+  }
+
+  const records = [];
+  const malformed = [];
+  for (const row of dataRows) {
+    const error = validateRow(row, header);
+    if (error) {
+      malformed.push({ line: row.line, error, raw: row.raw });
+      continue;
+    }
+    const record = Object.fromEntries(header.map((column, index) => [column, row.fields[index]]));
+    records.push(upgradeRecord(record, version));
+  }
+
+  return { version, marked: !!marker, records, malformed };
+}
+
+/**
+ * Check a transactions CSV file without changing it
+ * @param {string} filepath - Absolute path to the file
+ * @returns {{valid: boolean, version?: number, rows?: number, malformed?: Array<object>, error?: string}}
+ *   valid is false when the file cannot be read or has malformed rows
+ */
+export function verifyCsvFile(filepath) {
+  try {
+    const { version, records, malformed } = readCsvFile(filepath);
+    return { valid: malformed.length === 0, version, rows: records.length, malformed };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Rewrite a transactions CSV file in the current layout, moving malformed rows to a quarantine file
+ *
+ * The original is kept as <file>.bak. Quarantined rows are appended to <file>.quarantine
+ * with their line number, the problem found and the row exactly as it was.
+ * @param {string} filepath - Absolute path to the file
+ * @returns {{rows: number, quarantined: number, upgradedFrom: number|null, backupPath: string|null, quarantinePath: string|null}}
+ *   backupPath is null when the file needed no changes
+ */
+export function repairCsvFile(filepath) {
+  const { version, marked, records, malformed } = readCsvFile(filepath);
+  const upgradedFrom = version < CSV_SCHEMA_VERSION ? version : null;
+
+  if (malformed.length === 0 && upgradedFrom === null) {
+    return { rows: records.length, quarantined: 0, upgradedFrom, backupPath: null, quarantinePath: null };
+  }
+
+  let quarantinePath = null;
+  if (malformed.length > 0) {
+    quarantinePath = `${filepath}.quarantine`;
+    const lines = malformed.map(row => [new Date().toISOString(), row.line, row.error, row.raw].map(escapeCSV).join(','));
+    if (!existsSync(quarantinePath)) {
+      lines.unshift('quarantined_at,line,error,row');
+    }
+    appendFileSync(quarantinePath, lines.join('\n') + '\n');
+  }
+
+  const backupPath = `${filepath}.bak`;
+  copyFileSync(filepath, backupPath);
+  writeCsvFile(filepath, records, { schemaMarker: marked });
+
+  return { rows: records.length, quarantined: malformed.length, upgradedFrom, backupPath, quarantinePath };
+}
+
+/**
+ * Write records to a transactions CSV file (replacing it)
+ * @param {string} filepath - Absolute path to the file
+ * @param {Array<object>} records - Records keyed by CSV header
+ * @param {object} options
+ * @param {boolean} options.schemaMarker - Start the file with the schema version line (off by
+ *   default, since tax software expects the header first)
+ */
+export function writeCsvFile(filepath, records, { schemaMarker = false } = {}) {
+  const lines = [
+    ...(schemaMarker ? [`#schema_version=${CSV_SCHEMA_VERSION}`] : []),
+    CSV_HEADERS.join(','),
+    ...records.map(record => CSV_HEADERS.map(header => escapeCSV(record[header])).join(',')),
+  ];
+
+  const tmpPath = `${filepath}.tmp`;
+  writeFileSync(tmpPath, lines.join('\n') + '\n');
+  renameSync(tmpPath, filepath);
+}
@@ -0,0 +1,192 @@
+/**
+ * Arweave GraphQL client with gateway failover
+ *
+ * - Every request has a timeout and its HTTP status is checked
+ * - A failed request moves on to the next gateway. When every gateway fails, the client
+ *   backs off exponentially and tries again, up to maxRetries rounds
+ * - Responses must contain the expected shape; a gateway answering with `errors` or
+ *   malformed data counts as a failure, never as "no results"
+ * - Transaction queries are paginated by cursor
+ */
+
+const DEFAULT_GATEWAYS = ['https://arweave.net/graphql'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class GraphQLClient {
+  /**
+   * @param {object} config - Gateways and retry settings
+   * @param {Array<string>} config.gatewayUrls - GraphQL endpoints, in order of preference
+   * @param {number} config.timeoutMs - Per-request timeout
+   * @param {number} config.maxRetries - Extra rounds over every gateway after the first
+   * @param {number} config.retryBaseMs - First backoff delay (doubled each round)
+   * @param {number} config.pageSize - Transactions per page
+   * @param {number} config.maxPages - Stop paginating after this many pages
+   * @param {object} logger - Winston logger instance (optional)
+   */
+  constructor(config = {}, logger = null) {
+    this.gatewayUrls = config.gatewayUrls?.length ? config.gatewayUrls : DEFAULT_GATEWAYS;
+    this.timeoutMs = config.timeoutMs ?? 15000;
+    this.maxRetries = config.maxRetries ?? 3;
+    this.retryBaseMs = config.retryBaseMs ?? 1000;
+    this.pageSize = config.pageSize ?? 100;
+    this.maxPages = config.maxPages ?? 20;
+    this.logger = logger;
+  }
+
+  /**
+   * Run a GraphQL query, failing over between gateways and backing off between rounds
+   * @param {string} query - GraphQL query
+   * @param {object} variables - Query variables
+   * @param {function(object): *} validate - Checks the response's `data` and returns what the caller
+   *   needs; throwing makes the gateway count as failed
+   * @returns {Promise<*>} The response's `data`, or what validate returned
+   */
+  async query(query, variables = {}, validate = null) {
+    const { value } = await this.request(query, variables, validate, this.gatewayUrls);
+    return value;
+  }
+
+  /**
+   * query() against a given list of gateways
+   * @returns {Promise<{value: *, url: string}>} The result and the gateway that answered
+   */
+  async request(query, variables, validate, gatewayUrls) {
+    const errors = [];
+
+    for (let round = 0; round <= this.maxRetries; round++) {
+      if (round > 0) {
+        const delay = this.retryBaseMs * 2 ** (round - 1) * (1 + Math.random() * 0.25);
+        this.logger?.warn(`⚠️ GraphQL query failed on every gateway - retrying in ${Math.round(delay / 1000)}s (round ${round + 1}/${this.maxRetries + 1})`);
+        await sleep(delay);
+      }
+
+      for (const url of gatewayUrls) {
+        try {
+          const data = await this.post(url, query, variables);
+          return { value: validate ? validate(data) : data, url };
+        } catch (error) {
+          errors.push(`${new URL(url).host}: ${error.message}`);
+          if (error.permanent) {
+            // The query itself was rejected - every gateway would say the same
+            throw new Error(`GraphQL query rejected by ${new URL(url).host}: ${error.message}`);
+          }
+          this.logger?.warn(`⚠️ GraphQL gateway ${new URL(url).host} failed: ${error.message}`);
+        }
+      }
+    }
+
+    throw new Error(`GraphQL query failed on every gateway (${errors.slice(-gatewayUrls.length).join('; ')})`);
+  }
+
+  /**
+   * Send one request to one gateway
+   */
+  async post(url, query, variables) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables }),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`timed out after ${Math.round(this.timeoutMs / 1000)}s`);
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      // 400 means the query is invalid; other statuses are specific to this gateway
+      error.permanent = response.status === 400;
+      throw error;
+    }
+
+    let body;
+    try {
+      body = await response.json();
+    } catch {
+      throw new Error('response is not JSON');
+    }
+
+    if (Array.isArray(body?.errors) && body.errors.length > 0) {
+      throw new Error(`GraphQL errors: ${body.errors.map(error => error.message).join('; ')}`);
+    }
+    if (!body || typeof body.data !== 'object' || body.data === null) {
+      throw new Error('response has no data');
+    }
+
+    return body.data;
+  }
+
+  /**
+   * Fetch transactions page by page, newest first. Cursors are specific to the gateway that
+   * issued them, so every page after the first is read from the same gateway.
+   * @param {string} query - Query taking `$first` and `$after` and selecting
+   *   `transactions { pageInfo { hasNextPage } edges { cursor node { id tags { name value } block { height timestamp } } } }`
+   * @param {object} variables - Other query variables
+   * @param {object} options
+   * @param {number|null} options.since - Stop once transactions are older than this (Unix seconds)
+   * @returns {Promise<{nodes: Array<object>, complete: boolean}>} `complete` is false when maxPages cut the search short
+   */
+  async paginateTransactions(query, variables = {}, { since = null } = {}) {
+    const nodes = [];
+    let after = null;
+    let gatewayUrls = this.gatewayUrls;
+
+    for (let page = 1; page <= this.maxPages; page++) {
+      const { value, url } = await this.request(
+        query,
+        { ...variables, first: this.pageSize, after },
+        data => this.checkTransactionsShape(data),
+        gatewayUrls
+      );
+      const { edges, hasNextPage } = value;
+      gatewayUrls = [url];
+
+      nodes.push(...edges.map(edge => edge.node));
+
+      // Unconfirmed transactions have no block yet and sort first; they are never "too old"
+      const oldest = edges.length > 0 ? edges[edges.length - 1].node.block?.timestamp : null;
+      const reachedSince = since !== null && oldest !== null && oldest !== undefined && oldest < since;
+
+      if (!hasNextPage || edges.length === 0 || reachedSince) {
+        return { nodes, complete: true };
+      }
+
+      after = edges[edges.length - 1].cursor;
+    }
+
+    this.logger?.warn(`⚠️ GraphQL pagination stopped after ${this.maxPages} page(s) of ${this.pageSize}; older transactions were not checked`);
+    return { nodes, complete: false };
+  }
+
+  /**
+   * Make sure a transactions response has the fields the bot relies on
+   * @returns {{edges: Array<object>, hasNextPage: boolean}}
+   */
+  checkTransactionsShape(data) {
+    const transactions = data.transactions;
+    if (!transactions || !Array.isArray(transactions.edges)) {
+      throw new Error('GraphQL response is missing transactions.edges');
+    }
+
+    for (const edge of transactions.edges) {
+      const node = edge?.node;
+      if (typeof edge?.cursor !== 'string' || typeof node?.id !== 'string' || !Array.isArray(node.tags)) {
+        throw new Error('GraphQL response has a transaction without a cursor, id or tags');
+      }
+      if (node.block && (typeof node.block.timestamp !== 'number' || typeof node.block.height !== 'number')) {
+        throw new Error(`GraphQL response has a malformed block for transaction ${node.id}`);
+      }
+    }
+
+    return {
+      edges: transactions.edges,
+      hasNextPage: transactions.pageInfo?.hasNextPage === true,
+    };
+  }
+}
@@ -0,0 +1,96 @@
+import { join } from 'path';
+import { writeFileSync, readFileSync, unlinkSync } from 'fs';
+
+/**
+ * Single-instance lock on the bot's state files
+ *
+ * The scheduled bot and the CLI commands that send transactions load the run journal,
+ * bridge ledger and pending transactions into memory and write them back whole, so only
+ * one such process may run at a time. The lock file names the
+ * process holding it; a lock left behind by a process that is no longer running is
+ * taken over.
+ */
+
+/**
+ * Whether a process with this pid is running
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: running, but owned by another user
+    return error.code === 'EPERM';
+  }
+}
+
+export class InstanceLock {
+  /**
+   * @param {string} filename - Lock file, relative to the working directory
+   */
+  constructor(filename = 'bot.lock') {
+    this.filepath = join(process.cwd(), filename);
+    this.held = false;
+  }
+
+  /**
+   * Take the lock, or throw if another running process holds it
+   * @param {string} owner - What is taking the lock (e.g. 'bot', 'cli topup'), shown to whoever is refused
+   */
+  acquire(owner) {
+    const holder = { owner, pid: process.pid, since: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        writeFileSync(this.filepath, JSON.stringify(holder, null, 2), { flag: 'wx' });
+        this.held = true;
+        process.on('exit', () => this.release());
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const current = this.getHolder();
+      if (current && current.pid !== process.pid && isRunning(current.pid)) {
+        throw new Error(
+          `The bot's state files are in use by ${current.owner} (pid ${current.pid}, since ${current.since}) - ` +
+          'stop it before running this command'
+        );
+      }
+
+      // Left behind by a process that has exited
+      try {
+        unlinkSync(this.filepath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    throw new Error(`Could not take the lock ${this.filepath}`);
+  }
+
+  /**
+   * Who holds the lock
+   * @returns {{owner: string, pid: number, since: string}|null} null when the lock is free or unreadable
+   */
+  getHolder() {
+    try {
+      return JSON.parse(readFileSync(this.filepath, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Give up the lock (a no-op unless this process holds it)
+   */
+  release() {
+    if (!this.held) return;
+    this.held = false;
+    try {
+      unlinkSync(this.filepath);
+    } catch {
+      // Already gone
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
+
+/**
+ * Small helpers for the bot's JSON state files
+ *
+ * Writes go to a temporary file first and are then renamed over the original,
+ * so a crash mid-write never leaves a truncated state file behind.
+ */
+
+/**
+ * Read a JSON state file
+ * @param {string} filepath - Absolute path to the file
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} Parsed contents or the fallback
+ */
+export function readJsonFile(filepath, fallback) {
+  if (!existsSync(filepath)) {
+    return fallback;
+  }
+
+  const content = readFileSync(filepath, 'utf-8');
+  if (!content || content.trim().length === 0) {
+    return fallback;
+  }
+
+  return JSON.parse(content);
+}
+
+/**
+ * Atomically write a JSON state file
+ * @param {string} filepath - Absolute path to the file
+ * @param {*} data - JSON-serializable data
+ */
+export function writeJsonFile(filepath, data) {
+  const tmpPath = `${filepath}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  renameSync(tmpPath, filepath);
+}
@@ -10,18 +10,30 @@ const DEFAULT_CONTRACTS = {
   USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
 };
 
+// KyberSwap's placeholder address for the chain's native token (ETH on Base)
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
 // Minimal ERC20 ABI for approvals
 const ERC20_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
   'function allowance(address owner, address spender) view returns (uint256)',
 ];
 
+// ARIO Transfer event, used to read the amount a swap actually delivered
+const TRANSFER_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
 export class KyberSwapDEX {
-  constructor(provider, wallet, logger, config = {}) {
+  constructor(provider, wallet, logger, config = {}, txManager = null) {
     this.provider = provider;
     this.wallet = wallet;
     this.logger = logger;
 
+    // Every write goes through the transaction manager (nonces, fee caps, stuck-tx replacement);
+    // without one (opened read-only) routes can be quoted but not executed
+    this.txManager = txManager;
+
     // Token addresses
     this.usdcAddress = config.usdcContract || DEFAULT_CONTRACTS.USDC;
     this.arioAddress = config.arioContract || DEFAULT_CONTRACTS.ARIO;
@@ -33,39 +45,74 @@ export class KyberSwapDEX {
     // USDC contract for approvals
     this.usdcContract = new ethers.Contract(this.usdcAddress, ERC20_ABI, this.wallet);
 
+    // ARIO contract for decoding swap output
+    this.arioContract = new ethers.Contract(this.arioAddress, TRANSFER_ABI, this.provider);
+
     // Client ID for KyberSwap API
     this.clientId = 'balance-maintainar-bot';
+
+    // Exact-output quoting: how far above the target a quote may land, and how many routes to try
+    this.quoteTolerancePercent = config.quoteTolerancePercent ?? 0.5;
+    this.quoteMaxIterations = config.quoteMaxIterations ?? 8;
+
+    // Quote freshness: how long a quote may be executed as-is, and how much worse a
+    // refreshed quote may be than the approved one before the swap is aborted
+    this.quoteTtlSeconds = config.quoteTtlSeconds ?? 60;
+    this.requoteTolerancePercent = config.requoteTolerancePercent ?? 1;
+
+    // Execution limits: abort above this price impact (%), and accept at most this much
+    // slippage below the quoted output (basis points, enforced on-chain by the router)
+    this.maxPriceImpact = config.maxPriceImpact ?? 20;
+    this.slippageToleranceBps = config.slippageToleranceBps ?? 50;
+  }
+
+  /**
+   * Send a transaction through the transaction manager
+   */
+  sendTransaction(label, request, hooks = {}) {
+    if (!this.txManager) {
+      throw new Error(`Cannot send the ${label} transaction: Base was opened read-only`);
+    }
+    return this.txManager.send(label, request, hooks);
   }
 
   /**
    * Get swap route from KyberSwap Aggregator API
-   * @param {number} amountIn - Amount of USDC to swap (in token units, not smallest)
+   * @param {number} amountIn - Amount of the input token to swap (in token units, not smallest)
+   * @param {object} options
+   * @param {object} options.tokenIn - Token sold: { symbol, address, decimals } (default USDC)
+   * @param {object} options.tokenOut - Token bought (default ARIO)
+   * @param {number|null} options.timeoutMs - Abort the request after this long (default: no limit)
    * @returns {Promise<object>} Route data including expected output and router address
    */
-  async getSwapRoute(amountIn) {
+  async getSwapRoute(amountIn, { tokenIn = null, tokenOut = null, timeoutMs = null } = {}) {
+    const input = tokenIn || { symbol: 'USDC', address: this.usdcAddress, decimals: this.usdcDecimals };
+    const output = tokenOut || { symbol: 'ARIO', address: this.arioAddress, decimals: this.arioDecimals };
+
     try {
       // Round to max 6 decimals (USDC precision) to avoid parseUnits errors
       const amountInRounded = Math.floor(amountIn * 1e6) / 1e6;
       // Convert to smallest units
-      const amountInSmallest = ethers.parseUnits(amountInRounded.toString(), this.usdcDecimals).toString();
+      const amountInSmallest = ethers.parseUnits(amountInRounded.toString(), input.decimals).toString();
 
       const url = new URL(`${KYBERSWAP_API_BASE}/${CHAIN_NAME}/api/v1/routes`);
-      url.searchParams.append('tokenIn', this.usdcAddress);
-      url.searchParams.append('tokenOut', this.arioAddress);
+      url.searchParams.append('tokenIn', input.address);
+      url.searchParams.append('tokenOut', output.address);
       url.searchParams.append('amountIn', amountInSmallest);
       url.searchParams.append('saveGas', 'false');
       url.searchParams.append('gasInclude', 'true');
 
       this.logger.info(`Fetching swap route from KyberSwap...`);
-      this.logger.info(`├─ Token In: USDC (${this.usdcAddress})`);
-      this.logger.info(`├─ Token Out: ARIO (${this.arioAddress})`);
-      this.logger.info(`└─ Amount In: ${amountIn} USDC`);
+      this.logger.info(`├─ Token In: ${input.symbol} (${input.address})`);
+      this.logger.info(`├─ Token Out: ${output.symbol} (${output.address})`);
+      this.logger.info(`└─ Amount In: ${amountIn} ${input.symbol}`);
 
       const response = await fetch(url.toString(), {
         method: 'GET',
         headers: {
           'x-client-id': this.clientId,
         },
+        signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
       });
 
       if (!response.ok) {
@@ -81,17 +128,17 @@ export class KyberSwapDEX {
 
       const routeSummary = data.data.routeSummary;
       const routerAddress = data.data.routerAddress; // routerAddress is at data.data level, not in routeSummary
-      const amountOut = parseFloat(ethers.formatUnits(routeSummary.amountOut, this.arioDecimals));
-      const amountInFormatted = parseFloat(ethers.formatUnits(routeSummary.amountIn, this.usdcDecimals));
+      const amountOut = parseFloat(ethers.formatUnits(routeSummary.amountOut, output.decimals));
+      const amountInFormatted = parseFloat(ethers.formatUnits(routeSummary.amountIn, input.decimals));
 
       // Calculate effective price and slippage
-      const effectivePrice = amountInFormatted / amountOut; // USDC per ARIO
+      const effectivePrice = amountInFormatted / amountOut; // Input per output token (USDC per ARIO)
       const expectedPrice = amountIn / amountOut;
       const priceImpact = parseFloat(routeSummary.priceImpact || '0');
 
       this.logger.info(`📊 Route found:`);
-      this.logger.info(`├─ Expected output: ${amountOut.toFixed(2)} ARIO`);
-      this.logger.info(`├─ Effective price: 1 ARIO = ${effectivePrice.toFixed(6)} USDC`);
+      this.logger.info(`├─ Expected output: ${amountOut.toFixed(2)} ${output.symbol}`);
+      this.logger.info(`├─ Effective price: 1 ${output.symbol} = ${effectivePrice.toFixed(6)} ${input.symbol}`);
       this.logger.info(`├─ Price impact: ${priceImpact.toFixed(3)}%`);
       this.logger.info(`└─ Router: ${routerAddress}`);
 
@@ -105,6 +152,7 @@ export class KyberSwapDEX {
         priceImpact,
         routerAddress,
         gas: routeSummary.gas,
+        quotedAt: Date.now(),
       };
     } catch (error) {
       this.logger.error('Failed to get swap route:', error);
@@ -193,8 +241,14 @@ export class KyberSwapDEX {
       this.logger.info(`Approving USDC for KyberSwap router...`);
 
       // Approve max amount to avoid repeated approvals
-      const tx = await this.usdcContract.approve(spenderAddress, ethers.MaxUint256);
-      const receipt = await tx.wait();
+      const receipt = await this.sendTransaction('approve', {
+        to: this.usdcAddress,
+        data: this.usdcContract.interface.encodeFunctionData('approve', [spenderAddress, ethers.MaxUint256]),
+      });
+
+      if (receipt.status !== 1) {
+        throw new Error('USDC approval transaction failed');
+      }
 
       this.logger.info(`USDC approval confirmed: ${receipt.hash}`);
 
@@ -206,37 +260,109 @@ export class KyberSwapDEX {
   }
 
   /**
-   * Execute swap: USDC → ARIO on Base via KyberSwap
-   * @param {number} amountIn - Amount of USDC to swap (in token units)
-   * @param {number} maxSlippage - Maximum allowed slippage percentage (e.g., 1 = 1%)
+   * Make sure a quote is still good to execute
+   *
+   * A quote within its TTL is returned as-is. A stale quote is refreshed by routing the
+   * same USDC amount again; the refreshed route is used unless its output is worse than
+   * the approved one by more than the re-quote tolerance.
+   * @param {object} quote - Quote from calculateUsdcNeeded
+   * @returns {Promise<{route: object, requoted: boolean, worsePercent: number, reason?: string}>}
+   */
+  async refreshQuote(quote) {
+    const approved = quote.route;
+
+    if (quote.expiresAt && Date.now() < quote.expiresAt) {
+      return { route: approved, requoted: false, worsePercent: 0 };
+    }
+
+    const ageSeconds = Math.round((Date.now() - approved.quotedAt) / 1000);
+    this.logger.info(`⏱️ Quote is ${ageSeconds}s old (TTL ${this.quoteTtlSeconds}s) - re-quoting ${approved.amountIn} USDC`);
+
+    const route = await this.getSwapRoute(approved.amountIn);
+    const worsePercent = (1 - route.amountOut / approved.amountOut) * 100;
+
+    this.logger.info(`├─ Approved output: ${approved.amountOut.toFixed(2)} ARIO`);
+    this.logger.info(`└─ Refreshed output: ${route.amountOut.toFixed(2)} ARIO (${worsePercent > 0 ? `${worsePercent.toFixed(3)}% worse` : 'no worse'})`);
+
+    if (worsePercent > this.requoteTolerancePercent) {
+      return {
+        route,
+        requoted: true,
+        worsePercent,
+        reason: `Refreshed quote is ${worsePercent.toFixed(3)}% worse than approved (tolerance ${this.requoteTolerancePercent}%)`,
+      };
+    }
+
+    return { route, requoted: true, worsePercent };
+  }
+
+  /**
+   * Execute swap: USDC → ARIO on Base via KyberSwap, using the quoted route
+   * @param {object} quote - Quote from calculateUsdcNeeded (re-quoted only if past its expiry)
    * @param {boolean} dryRun - If true, simulate without executing
+   * @param {object} hooks - Optional callbacks
+   * @param {function} hooks.onSubmitted - Called with the tx hash once the swap is broadcast, before confirmation
+   * @param {function} hooks.checkRoute - Called with the route about to be executed; resolves to a reason to abort, or null
    * @returns {Promise<object>} Swap result with transaction details
    */
-  async executeSwap(amountIn, maxSlippage = 1, dryRun = false) {
+  async executeSwap(quote, dryRun = false, hooks = {}) {
     try {
+      const amountIn = quote.route.amountIn;
+
       this.logger.info(`═══════════════════════════════════════════════`);
       this.logger.info(`🔄 Initiating swap: ${amountIn} USDC → ARIO`);
       this.logger.info(`═══════════════════════════════════════════════`);
 
-      // Step 1: Get route
-      const route = await this.getSwapRoute(amountIn);
+      // Step 1: Use the quoted route, refreshing it only if it has expired
+      const { route, requoted, worsePercent, reason } = await this.refreshQuote(quote);
+
+      if (reason) {
+        this.logger.warn(`⚠️ ${reason}`);
+        return {
+          success: false,
+          aborted: true,
+          reason,
+          requoted,
+          worsePercent,
+          route,
+        };
+      }
 
-      // Check slippage/price impact
-      if (route.priceImpact > maxSlippage) {
-        this.logger.warn(`⚠️ Price impact (${route.priceImpact.toFixed(3)}%) exceeds max slippage (${maxSlippage}%)`);
+      // Check price impact
+      if (route.priceImpact > this.maxPriceImpact) {
+        this.logger.warn(`⚠️ Price impact (${route.priceImpact.toFixed(3)}%) exceeds maximum (${this.maxPriceImpact}%)`);
         return {
           success: false,
           aborted: true,
           reason: 'Price impact too high',
           priceImpact: route.priceImpact,
-          maxSlippage,
+          maxPriceImpact: this.maxPriceImpact,
+          requoted,
           route,
         };
       }
 
+      // Caller's own checks on the final route (e.g. an independent price reference)
+      const checkFailure = hooks.checkRoute ? await hooks.checkRoute(route) : null;
+      if (checkFailure) {
+        this.logger.warn(`⚠️ ${checkFailure}`);
+        return {
+          success: false,
+          aborted: true,
+          reason: checkFailure,
+          requoted,
+          route,
+        };
+      }
+
+      // Lowest output we accept: the quoted output less the slippage tolerance
+      const minAmountOutSmallest = this.getMinAmountOut(route.amountOutSmallest);
+      const minAmountOut = parseFloat(ethers.formatUnits(minAmountOutSmallest, this.arioDecimals));
+
       if (dryRun) {
         this.logger.info(`[DRY RUN] Swap simulation complete`);
         this.logger.info(`├─ Would swap: ${amountIn} USDC → ${route.amountOut.toFixed(2)} ARIO`);
+        this.logger.info(`├─ Minimum output: ${minAmountOut.toFixed(2)} ARIO (${this.slippageToleranceBps} bps slippage)`);
         this.logger.info(`├─ Price impact: ${route.priceImpact.toFixed(3)}%`);
         this.logger.info(`└─ Router: ${route.routerAddress}`);
 
@@ -245,8 +371,10 @@ export class KyberSwapDEX {
           dryRun: true,
           amountIn,
           expectedAmountOut: route.amountOut,
+          minAmountOut,
           priceImpact: route.priceImpact,
           effectivePrice: route.effectivePrice,
+          requoted,
           route,
         };
       }
@@ -258,23 +386,35 @@ export class KyberSwapDEX {
         dryRun
       );
 
-      // Step 3: Encode swap data
-      const slippageBps = Math.floor(maxSlippage * 100); // Convert percentage to basis points
-      const encodedSwap = await this.encodeSwapData(route.routeSummary, slippageBps);
+      // Step 3: Encode swap data (the router reverts if it cannot deliver the tolerance-adjusted output)
+      const encodedSwap = await this.encodeSwapData(route.routeSummary, this.slippageToleranceBps);
+
+      if (BigInt(encodedSwap.amountOut) < minAmountOutSmallest) {
+        const builtAmountOut = parseFloat(ethers.formatUnits(encodedSwap.amountOut, this.arioDecimals));
+        const reason = `Built swap returns ${builtAmountOut.toFixed(2)} ARIO, below the minimum of ${minAmountOut.toFixed(2)} ARIO`;
+        this.logger.warn(`⚠️ ${reason}`);
+        return {
+          success: false,
+          aborted: true,
+          reason,
+          expectedAmountOut: route.amountOut,
+          minAmountOut,
+          requoted,
+          route,
+        };
+      }
 
       // Step 4: Execute swap transaction
       this.logger.info(`Executing swap transaction...`);
+      this.logger.info(`├─ Quoted output: ${route.amountOut.toFixed(2)} ARIO`);
+      this.logger.info(`└─ Minimum output: ${minAmountOut.toFixed(2)} ARIO (${this.slippageToleranceBps} bps slippage)`);
 
-      const tx = await this.wallet.sendTransaction({
+      // onSubmitted also fires for every speed-up, so callers track the latest hash
+      const receipt = await this.sendTransaction('swap', {
         to: encodedSwap.routerAddress,
         data: encodedSwap.encodedData,
         gasLimit: BigInt(encodedSwap.gas) * 12n / 10n, // Add 20% buffer
-      });
-
-      this.logger.info(`Swap transaction submitted: ${tx.hash}`);
-
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      }, hooks);
 
       this.logger.info(`✅ Swap confirmed in block ${receipt.blockNumber}`);
       this.logger.info(`├─ Transaction hash: ${receipt.hash}`);
@@ -285,16 +425,28 @@ export class KyberSwapDEX {
         throw new Error('Swap transaction failed');
       }
 
+      const received = this.getReceivedAmount(receipt);
+      this.logger.info(`📥 Received ${received.amount.toFixed(2)} ARIO (quoted ${route.amountOut.toFixed(2)}, minimum ${minAmountOut.toFixed(2)})`);
+
+      if (BigInt(received.amountRaw) < minAmountOutSmallest) {
+        this.logger.error(`❌ Swap delivered less than the minimum output: ${received.amount.toFixed(2)} < ${minAmountOut.toFixed(2)} ARIO`);
+      }
+
       return {
         success: true,
         txHash: receipt.hash,
         amountIn,
         expectedAmountOut: route.amountOut,
+        minAmountOut,
+        actualAmountOut: received.amount,
         priceImpact: route.priceImpact,
         effectivePrice: route.effectivePrice,
         gasUsed: receipt.gasUsed.toString(),
+        // effectiveGasPrice of the receipt, in wei
+        gasPrice: receipt.gasPrice.toString(),
         blockNumber: receipt.blockNumber,
         approvalTxHash: allowanceResult.txHash,
+        requoted,
       };
     } catch (error) {
       this.logger.error('Failed to execute swap:', error);
@@ -302,6 +454,44 @@ export class KyberSwapDEX {
     }
   }
 
+  /**
+   * Minimum acceptable output for a quoted output, after the slippage tolerance
+   * @param {string} amountOutSmallest - Quoted output in smallest units
+   * @returns {bigint} Minimum output in smallest units
+   */
+  getMinAmountOut(amountOutSmallest) {
+    return BigInt(amountOutSmallest) * BigInt(10000 - this.slippageToleranceBps) / 10000n;
+  }
+
+  /**
+   * ARIO received by the bot wallet in a swap, from the token's Transfer logs
+   * @param {object} receipt - Swap transaction receipt
+   * @returns {{amountRaw: string, amount: number}}
+   */
+  getReceivedAmount(receipt) {
+    let total = 0n;
+
+    for (const log of receipt.logs || []) {
+      if (log.address.toLowerCase() !== this.arioAddress.toLowerCase()) continue;
+
+      let parsed;
+      try {
+        parsed = this.arioContract.interface.parseLog(log);
+      } catch {
+        continue;
+      }
+
+      if (parsed?.name === 'Transfer' && parsed.args.to.toLowerCase() === this.wallet.address.toLowerCase()) {
+        total += parsed.args.value;
+      }
+    }
+
+    return {
+      amountRaw: total.toString(),
+      amount: parseFloat(ethers.formatUnits(total, this.arioDecimals)),
+    };
+  }
+
   /**
    * Get current price (USDC per ARIO) by querying a small route
    * @returns {Promise<{price: number, timestamp: number}>}
@@ -323,37 +513,100 @@ export class KyberSwapDEX {
     }
   }
 
+  /**
+   * Get the current ETH price in USDC, for valuing gas
+   * @param {object} options
+   * @param {number} options.timeoutMs - Give up on the KyberSwap request after this long
+   * @returns {Promise<number>} USDC per ETH
+   */
+  async getEthPrice({ timeoutMs = 10 * 1000 } = {}) {
+    const route = await this.getSwapRoute(0.01, {
+      tokenIn: { symbol: 'ETH', address: NATIVE_TOKEN, decimals: 18 },
+      tokenOut: { symbol: 'USDC', address: this.usdcAddress, decimals: this.usdcDecimals },
+      timeoutMs,
+    });
+    return route.amountOut / route.amountIn;
+  }
+
   /**
    * Calculate how much USDC is needed for a target ARIO amount
+   *
+   * Searches input amounts against real KyberSwap routes until the quoted output covers
+   * the target without exceeding it by more than the quote tolerance. Each guess is a secant
+   * step through the last two routes; once the target is bracketed by a route that falls
+   * short and one that covers it, guesses that leave the bracket fall back to bisection.
    * @param {number} targetArioAmount - Desired ARIO output
-   * @returns {Promise<{usdcNeeded: number, expectedArio: number, priceImpact: number}>}
+   * @returns {Promise<{usdcNeeded: number, expectedArio: number, priceImpact: number, effectivePrice: number, route: object, iterations: number, quotedAt: number, expiresAt: number}>}
+   *   The route is the one to execute; pass the whole quote to executeSwap()
    */
   async calculateUsdcNeeded(targetArioAmount) {
     try {
-      // Get current price
-      const priceInfo = await this.getPrice();
-      const estimatedUsdc = targetArioAmount * priceInfo.price;
+      const maxArio = targetArioAmount * (1 + this.quoteTolerancePercent / 100);
+      // Aim for the middle of the acceptable window so small route changes still land inside it
+      const aimArio = (targetArioAmount + maxArio) / 2;
 
-      // Add buffer for slippage (10%)
-      const usdcWithBuffer = estimatedUsdc * 1.1;
+      // Start from the spot price of a small route
+      const priceInfo = await this.getPrice();
+      let amountIn = aimArio * priceInfo.price;
+
+      let previous = null;
+      let short = null; // Largest input whose route fell short of the target
+      let best = null; // Smallest input whose route covers the target
+      let iterations = 0;
+
+      while (iterations < this.quoteMaxIterations) {
+        iterations++;
+        const route = await this.getSwapRoute(amountIn);
+
+        if (route.amountOut >= targetArioAmount) {
+          if (!best || route.amountIn < best.amountIn) best = route;
+          if (route.amountOut <= maxArio) break;
+        } else if (!short || route.amountIn > short.amountIn) {
+          short = route;
+        }
+
+        // Secant step through the last two routes (tracks the marginal rate as price impact
+        // grows), falling back to scaling the last route's average rate
+        let next = route.amountIn * (aimArio / route.amountOut);
+        if (previous && route.amountOut !== previous.amountOut) {
+          const slope = (route.amountIn - previous.amountIn) / (route.amountOut - previous.amountOut);
+          if (slope > 0) next = route.amountIn + (aimArio - route.amountOut) * slope;
+        }
+        if (short && best && (next <= short.amountIn || next >= best.amountIn)) {
+          next = (short.amountIn + best.amountIn) / 2;
+        }
+
+        // Nothing left to search at USDC precision
+        if (Math.abs(next - route.amountIn) < 1e-6) break;
+        previous = route;
+        amountIn = next;
+      }
 
-      // Get actual route to verify
-      const route = await this.getSwapRoute(usdcWithBuffer);
+      if (!best) {
+        throw new Error(`No route found delivering ${targetArioAmount.toFixed(2)} ARIO after ${iterations} quote(s)`);
+      }
 
-      // Binary search to find optimal USDC amount
-      // For now, use simple estimation with the route's effective price
-      const adjustedUsdc = targetArioAmount * route.effectivePrice * 1.02; // 2% buffer
+      const overbuyPercent = (best.amountOut / targetArioAmount - 1) * 100;
 
       this.logger.info(`💰 USDC calculation for ${targetArioAmount.toFixed(2)} ARIO:`);
-      this.logger.info(`├─ Current price: 1 ARIO = ${priceInfo.price.toFixed(6)} USDC`);
-      this.logger.info(`├─ Estimated USDC needed: ${adjustedUsdc.toFixed(2)} USDC`);
-      this.logger.info(`└─ Expected output: ~${(adjustedUsdc / route.effectivePrice).toFixed(2)} ARIO`);
+      this.logger.info(`├─ Spot price: 1 ARIO = ${priceInfo.price.toFixed(6)} USDC`);
+      this.logger.info(`├─ USDC needed: ${best.amountIn.toFixed(2)} USDC`);
+      this.logger.info(`├─ Quoted output: ${best.amountOut.toFixed(2)} ARIO (+${overbuyPercent.toFixed(3)}%)`);
+      this.logger.info(`└─ Quotes: ${iterations}`);
+
+      if (best.amountOut > maxArio) {
+        this.logger.warn(`⚠️ Quote overshoots the target by ${overbuyPercent.toFixed(3)}% (tolerance ${this.quoteTolerancePercent}%)`);
+      }
 
       return {
-        usdcNeeded: adjustedUsdc,
-        expectedArio: adjustedUsdc / route.effectivePrice,
-        priceImpact: route.priceImpact,
-        effectivePrice: route.effectivePrice,
+        usdcNeeded: best.amountIn,
+        expectedArio: best.amountOut,
+        priceImpact: best.priceImpact,
+        effectivePrice: best.effectivePrice,
+        route: best,
+        iterations,
+        quotedAt: best.quotedAt,
+        expiresAt: best.quotedAt + this.quoteTtlSeconds * 1000,
       };
     } catch (error) {
       this.logger.error('Failed to calculate USDC needed:', error);
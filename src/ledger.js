@@ -0,0 +1,689 @@
+import { existsSync, readFileSync, readdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import Database from 'better-sqlite3';
+import { CSV_HEADERS, readCsvFile, writeCsvFile } from './csv.js';
+import { readJsonFile } from './jsonStore.js';
+import { TERMINAL_STATUSES } from './runJournal.js';
+
+/**
+ * Transaction ledger in an embedded SQLite database
+ *
+ * Holds every on-chain transaction the bot makes (swaps, burns, AO transfers) together
+ * with its top-up runs, target balance snapshots and swap quotes. It is the only record of
+ * them: the run journal, balance forecast, price tracker and price check read their
+ * history from here on startup. The schema is created and upgraded by the numbered
+ * migrations below, each applied once and recorded in schema_migrations.
+ *
+ * Transactions can be exported in the transactions.csv layout. The CSV files older
+ * versions of the bot wrote (transactions.csv and transaction-backups/) and their JSON
+ * state files (see LEGACY_JSON_FILES) are imported once.
+ */
+
+// What a stored quote was for
+export const QUOTE_SOURCE = {
+  // Quote for a swap the bot planned
+  SWAP: 'swap',
+  // Price sampled every cycle for opportunistic buying
+  PRICE_SAMPLE: 'price-sample',
+  // Swap price that passed the price sanity check (behind its median)
+  PRICE_CHECK: 'price-check',
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'transactions, runs, balance snapshots and quotes',
+    sql: `
+      CREATE TABLE transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        type TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        from_token TEXT,
+        from_amount REAL,
+        to_token TEXT,
+        to_amount REAL,
+        exchange_rate REAL,
+        slippage_percent REAL,
+        from_wallet TEXT,
+        to_wallet TEXT,
+        ao_tx_id TEXT,
+        base_tx_hash TEXT,
+        ao_destination TEXT,
+        gas_used TEXT,
+        notes TEXT,
+        run_id TEXT,
+        -- Permaswap-era fields of imported rows (order_id, settlement_id), as JSON
+        legacy TEXT,
+        -- Hash of the row in CSV form, so the same transaction is never stored twice
+        import_key TEXT NOT NULL UNIQUE
+      );
+      CREATE INDEX transactions_timestamp ON transactions (timestamp);
+      CREATE INDEX transactions_type ON transactions (type, timestamp);
+
+      CREATE TABLE runs (
+        id TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        usdc_in REAL,
+        ario_out REAL,
+        swap_tx_hash TEXT,
+        error TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX runs_created_at ON runs (created_at);
+
+      CREATE TABLE balance_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        taken_at TEXT NOT NULL,
+        address TEXT NOT NULL,
+        balance REAL NOT NULL
+      );
+      CREATE INDEX balance_snapshots_address ON balance_snapshots (address, taken_at);
+
+      CREATE TABLE quotes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quoted_at TEXT NOT NULL,
+        source TEXT NOT NULL,
+        usdc_in REAL,
+        ario_out REAL,
+        effective_price REAL NOT NULL,
+        price_impact REAL,
+        run_id TEXT
+      );
+      CREATE INDEX quotes_quoted_at ON quotes (quoted_at);
+
+      CREATE TABLE csv_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file TEXT NOT NULL,
+        sha256 TEXT NOT NULL UNIQUE,
+        imported_at TEXT NOT NULL,
+        rows INTEGER NOT NULL,
+        imported INTEGER NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    description: 'gas prices, realized slippage and bridge credits for accounting reports',
+    sql: `
+      ALTER TABLE transactions ADD COLUMN gas_price_wei TEXT;
+      ALTER TABLE transactions ADD COLUMN eth_usd REAL;
+      -- Output received against the quote; slippage_percent may hold the quoted price impact instead
+      ALTER TABLE transactions ADD COLUMN realized_slippage_percent REAL;
+
+      CREATE TABLE bridge_credits (
+        burn_id TEXT PRIMARY KEY,
+        run_id TEXT,
+        burn_tx_hash TEXT,
+        address TEXT NOT NULL,
+        burned REAL NOT NULL,
+        credited REAL NOT NULL,
+        credit_id TEXT,
+        burned_at TEXT NOT NULL,
+        credited_at TEXT NOT NULL
+      );
+      CREATE INDEX bridge_credits_burn_tx_hash ON bridge_credits (burn_tx_hash);
+    `,
+  },
+];
+
+// CSV header → transactions column, where the names differ
+const COLUMNS = {
+  transaction_type: 'type',
+  tx_id: 'ao_tx_id',
+};
+
+const NUMERIC_HEADERS = ['from_amount', 'to_amount', 'exchange_rate', 'slippage_percent'];
+
+// CSV columns kept only for compatibility; stored in the legacy column
+const LEGACY_HEADERS = ['order_id', 'settlement_id'];
+
+const STORED_HEADERS = CSV_HEADERS.filter(header => !LEGACY_HEADERS.includes(header));
+
+const columnFor = header => COLUMNS[header] || header;
+
+// State files of older versions of the bot, imported once and then renamed to <file>.imported
+const LEGACY_JSON_FILES = {
+  'topup-journal.json': (ledger, { runs = [] }) => {
+    runs.forEach(run => ledger.saveRun(run));
+    return runs.length;
+  },
+  'balance-history.json': (ledger, { readings = {} }) => {
+    const entries = Object.entries(readings).flatMap(([address, series]) => series.map(reading => ({ address, ...reading })));
+    entries.forEach(({ address, balance, at }) => ledger.recordBalance(address, balance, at));
+    return entries.length;
+  },
+  'price-history.json': (ledger, { quotes = [] }) => {
+    quotes.forEach(({ price, at }) => ledger.recordQuote({ source: QUOTE_SOURCE.PRICE_CHECK, effectivePrice: price, at }));
+    return quotes.length;
+  },
+  'price-tracker.json': (ledger, { samples = [] }) => {
+    samples.forEach(({ price, at }) => ledger.recordQuote({ source: QUOTE_SOURCE.PRICE_SAMPLE, effectivePrice: price, at }));
+    return samples.length;
+  },
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+/**
+ * Transaction fields as stored (numbers where the CSV has amounts, null for blanks)
+ */
+function toRow(record) {
+  const row = Object.fromEntries(STORED_HEADERS.map(header => {
+    let value = record[header];
+    if (isBlank(value)) {
+      value = null;
+    } else if (NUMERIC_HEADERS.includes(header) && !isNaN(Number(value))) {
+      value = Number(value);
+    } else {
+      value = String(value);
+    }
+    return [columnFor(header), value];
+  }));
+
+  const legacy = Object.fromEntries(LEGACY_HEADERS.filter(header => !isBlank(record[header])).map(header => [header, String(record[header])]));
+  row.legacy = Object.keys(legacy).length > 0 ? JSON.stringify(legacy) : null;
+  return row;
+}
+
+/**
+ * Stored transaction back in CSV form
+ */
+function toCsvRecord(row) {
+  const legacy = row.legacy ? JSON.parse(row.legacy) : {};
+  return Object.fromEntries(CSV_HEADERS.map(header => [
+    header,
+    (LEGACY_HEADERS.includes(header) ? legacy[header] : row[columnFor(header)]) ?? '',
+  ]));
+}
+
+function importKey(row) {
+  const record = toCsvRecord(row);
+  return createHash('sha256').update(CSV_HEADERS.map(header => String(record[header])).join('\u001f')).digest('hex');
+}
+
+export class Ledger {
+  /**
+   * @param {string} filename - Database file, relative to the working directory
+   * @param {object} options
+   * @param {boolean} options.persist - Write to disk (false in dry run mode: the database is in memory)
+   */
+  constructor(filename = 'ledger.db', { persist = true } = {}) {
+    this.filepath = join(process.cwd(), filename);
+    this.persist = persist;
+    this.db = new Database(persist ? this.filepath : ':memory:');
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+
+    const columns = [...STORED_HEADERS.map(columnFor), 'legacy', 'run_id', 'gas_price_wei', 'eth_usd', 'realized_slippage_percent', 'import_key'];
+    this.insertStatement = this.db.prepare(`
+      INSERT OR IGNORE INTO transactions (${columns.join(', ')})
+      VALUES (${columns.map(column => `@${column}`).join(', ')})
+    `);
+  }
+
+  /**
+   * Apply the migrations this database has not seen yet
+   * @returns {number} Schema version
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        description TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').pluck().all());
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+      this.db.transaction(() => {
+        this.db.exec(migration.sql);
+        record.run(migration.version, migration.description, new Date().toISOString());
+      })();
+    }
+
+    return this.getSchemaVersion();
+  }
+
+  getSchemaVersion() {
+    return this.db.prepare('SELECT MAX(version) FROM schema_migrations').pluck().get() ?? 0;
+  }
+
+  /**
+   * Store a transaction
+   * @param {object} record - Transaction keyed by CSV header
+   * @param {object} details - Fields that are not part of the CSV layout
+   * @param {string|null} details.runId - Top-up run the transaction belongs to
+   * @param {string|null} details.gasPrice - Effective gas price of a Base transaction (wei)
+   * @param {number|null} details.ethUsd - ETH price when the transaction was made (USD)
+   * @param {number|null} details.realizedSlippage - How much less a swap delivered than quoted (percent)
+   * @returns {boolean} false when the same transaction is already stored
+   */
+  insertTransaction(record, { runId = null, gasPrice = null, ethUsd = null, realizedSlippage = null } = {}) {
+    const row = toRow(record);
+    const result = this.insertStatement.run({
+      ...row,
+      run_id: runId,
+      gas_price_wei: gasPrice,
+      eth_usd: ethUsd,
+      realized_slippage_percent: realizedSlippage,
+      import_key: importKey(row),
+    });
+    return result.changes > 0;
+  }
+
+  /**
+   * Log a swap transaction on Base chain (USDC → ARIO)
+   */
+  async logBaseSwap(data) {
+    this.insertTransaction({
+      timestamp: new Date().toISOString(),
+      transaction_type: 'BASE_SWAP',
+      chain: 'base',
+      from_token: data.fromToken,
+      from_amount: data.fromAmount,
+      to_token: data.toToken,
+      to_amount: data.toAmount,
+      exchange_rate: data.exchangeRate,
+      // Realized slippage (quoted vs received) when known, else the quoted price impact
+      slippage_percent: data.slippage ?? (data.priceImpact || '0'),
+      from_wallet: data.baseWallet,
+      to_wallet: data.baseWallet,
+      base_tx_hash: data.txHash,
+      gas_used: data.gasUsed,
+      notes: [data.notes || 'KyberSwap aggregator swap on Base', data.approvedBy ? `Approved by ${data.approvedBy}` : null]
+        .filter(Boolean).join('; ')
+    }, { ...data, realizedSlippage: data.slippage ?? null });
+  }
+
+  /**
+   * Log a burn transaction on Base (bridge to AO)
+   */
+  async logBaseBurn(data) {
+    this.insertTransaction({
+      timestamp: new Date().toISOString(),
+      transaction_type: 'BASE_BURN',
+      chain: 'base',
+      from_token: data.token,
+      from_amount: data.amount,
+      to_token: data.token,
+      to_amount: data.amount,
+      exchange_rate: '1',
+      slippage_percent: '0',
+      from_wallet: data.baseWallet,
+      to_wallet: data.aoDestination,
+      base_tx_hash: data.txHash,
+      ao_destination: data.aoDestination,
+      gas_used: data.gasUsed,
+      notes: data.notes || 'Burn on Base to bridge to AO'
+    }, data);
+  }
+
+  /**
+   * Log a transfer on AO
+   */
+  async logTransfer(data) {
+    this.insertTransaction({
+      timestamp: new Date().toISOString(),
+      transaction_type: 'TRANSFER',
+      chain: 'ao',
+      from_token: data.token,
+      from_amount: data.amount,
+      to_token: data.token,
+      to_amount: data.amount,
+      exchange_rate: '1',
+      slippage_percent: '0',
+      from_wallet: data.fromWallet,
+      to_wallet: data.toWallet,
+      tx_id: data.txId,
+      notes: data.notes
+    });
+  }
+
+  /**
+   * Log a recovery transfer (ARIO from bot wallet to target)
+   */
+  async logRecovery(data) {
+    this.insertTransaction({
+      timestamp: new Date().toISOString(),
+      transaction_type: 'RECOVERY_TRANSFER',
+      chain: 'ao',
+      from_token: data.token,
+      from_amount: data.amount,
+      to_token: data.token,
+      to_amount: data.amount,
+      exchange_rate: '1',
+      slippage_percent: '0',
+      from_wallet: data.fromWallet,
+      to_wallet: data.toWallet,
+      tx_id: data.txId,
+      notes: 'Recovery from previous bot run or bridge'
+    });
+  }
+
+  /**
+   * Store the current state of a top-up run (called on every journal change)
+   * @param {object} run - Run from the RunJournal
+   */
+  saveRun(run) {
+    this.db.prepare(`
+      INSERT INTO runs (id, source, status, created_at, updated_at, usdc_in, ario_out, swap_tx_hash, error, data)
+      VALUES (@id, @source, @status, @createdAt, @updatedAt, @usdcIn, @arioOut, @swapTxHash, @error, @data)
+      ON CONFLICT (id) DO UPDATE SET
+        status = excluded.status,
+        updated_at = excluded.updated_at,
+        usdc_in = excluded.usdc_in,
+        ario_out = excluded.ario_out,
+        swap_tx_hash = excluded.swap_tx_hash,
+        error = excluded.error,
+        data = excluded.data
+    `).run({
+      id: run.id,
+      source: run.source,
+      status: run.status,
+      createdAt: run.createdAt,
+      updatedAt: run.updatedAt,
+      usdcIn: run.quote?.usdcNeeded ?? null,
+      arioOut: run.swap?.amountOut ?? null,
+      swapTxHash: run.swap?.txHash ?? null,
+      error: run.error ?? null,
+      data: JSON.stringify(run),
+    });
+  }
+
+  /**
+   * Runs for the run journal: every unfinished run and the most recent finished ones
+   * @param {number} finishedLimit - Finished runs to include
+   * @returns {Array<object>} Runs, oldest first
+   */
+  loadRuns(finishedLimit) {
+    const terminal = TERMINAL_STATUSES.map(() => '?').join(', ');
+    const unfinished = this.db.prepare(`SELECT rowid, created_at, data FROM runs WHERE status NOT IN (${terminal})`)
+      .all(...TERMINAL_STATUSES);
+    const finished = this.db.prepare(`
+      SELECT rowid, created_at, data FROM runs WHERE status IN (${terminal})
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `).all(...TERMINAL_STATUSES, finishedLimit);
+
+    return [...unfinished, ...finished]
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.rowid - b.rowid)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Store the ARIO a bridge burn delivered on AO. Recording the same burn twice is a no-op.
+   * @param {object} entry - Credited BridgeLedger entry
+   */
+  recordBridgeCredit(entry) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO bridge_credits (burn_id, run_id, burn_tx_hash, address, burned, credited, credit_id, burned_at, credited_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.id,
+      entry.runId ?? null,
+      entry.txHash ?? null,
+      entry.address,
+      entry.amount,
+      entry.creditAmount,
+      entry.creditId ?? null,
+      entry.burnedAt,
+      entry.creditedAt
+    );
+  }
+
+  /**
+   * Swaps and burns with their gas and bridge credit details, oldest first, for accounting
+   * @param {object} options
+   * @param {string} options.since - Only transactions at or after this ISO timestamp
+   * @param {string} options.until - Only transactions before this ISO timestamp
+   * @returns {Array<object>} Rows of the transactions table; burns also carry credited
+   *   (ARIO received on AO, null until credited)
+   */
+  getAccountingTransactions({ since, until } = {}) {
+    return this.db.prepare(`
+      SELECT t.*, c.credited
+      FROM transactions t
+      LEFT JOIN bridge_credits c ON t.type = 'BASE_BURN' AND c.burn_tx_hash = t.base_tx_hash
+      WHERE t.type IN ('SWAP', 'BASE_SWAP', 'BASE_BURN')
+        AND (@since IS NULL OR t.timestamp >= @since) AND (@until IS NULL OR t.timestamp < @until)
+      ORDER BY t.timestamp, t.id
+    `).all({ since: since ?? null, until: until ?? null });
+  }
+
+  /**
+   * Time of the first transaction, if any
+   * @returns {string|null} ISO timestamp
+   */
+  getFirstTransactionTime() {
+    return this.db.prepare('SELECT MIN(timestamp) FROM transactions').pluck().get() ?? null;
+  }
+
+  /**
+   * Store a target wallet balance reading
+   * @param {string} address - Target wallet address
+   * @param {number} balance - Balance in ARIO
+   * @param {string} at - When it was read (ISO timestamp, default now)
+   */
+  recordBalance(address, balance, at = new Date().toISOString()) {
+    this.db.prepare('INSERT INTO balance_snapshots (taken_at, address, balance) VALUES (?, ?, ?)')
+      .run(at, address, balance);
+  }
+
+  /**
+   * Balance readings of a wallet, oldest first
+   * @param {string} address - Target wallet address
+   * @param {string} since - Only readings after this ISO timestamp
+   * @returns {Array<{at: string, balance: number}>}
+   */
+  getBalanceSnapshots(address, since) {
+    return this.db.prepare(`
+      SELECT taken_at AS at, balance FROM balance_snapshots
+      WHERE address = ? AND taken_at > ?
+      ORDER BY taken_at, id
+    `).all(address, since);
+  }
+
+  /**
+   * Store a swap quote or price sample
+   * @param {object} quote
+   * @param {string} quote.source - What the quote was for (one of QUOTE_SOURCE)
+   * @param {number} quote.effectivePrice - USDC per ARIO
+   * @param {number} [quote.usdcIn]
+   * @param {number} [quote.arioOut]
+   * @param {number} [quote.priceImpact] - Percent
+   * @param {string} [quote.runId]
+   * @param {string} [quote.at] - When it was quoted (ISO timestamp, default now)
+   */
+  recordQuote({ source, effectivePrice, usdcIn = null, arioOut = null, priceImpact = null, runId = null, at = new Date().toISOString() }) {
+    this.db.prepare(`
+      INSERT INTO quotes (quoted_at, source, usdc_in, ario_out, effective_price, price_impact, run_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(at, source, usdcIn, arioOut, effectivePrice, priceImpact, runId);
+  }
+
+  /**
+   * Stored quotes from one source, oldest first
+   * @param {string} source - One of QUOTE_SOURCE
+   * @param {object} options
+   * @param {string} options.since - Only quotes after this ISO timestamp
+   * @param {number} options.limit - Only the most recent quotes
+   * @returns {Array<{at: string, price: number}>}
+   */
+  getQuotes(source, { since = null, limit = null } = {}) {
+    return this.db.prepare(`
+      SELECT quoted_at AS at, effective_price AS price FROM quotes
+      WHERE source = @source AND (@since IS NULL OR quoted_at > @since)
+      ORDER BY quoted_at DESC, id DESC
+      LIMIT @limit
+    `).all({ source, since, limit: limit ?? -1 }).reverse();
+  }
+
+  /**
+   * Most recent swap quote or price sample in a time range
+   * @param {object} options
+   * @param {string} options.since - Only quotes at or after this ISO timestamp
+   * @param {string} options.until - Only quotes before this ISO timestamp
+   * @returns {{quotedAt: string, effectivePrice: number}|null} effectivePrice in USDC per ARIO
+   */
+  getLastQuote({ since, until } = {}) {
+    const row = this.db.prepare(`
+      SELECT quoted_at, effective_price FROM quotes
+      WHERE (@since IS NULL OR quoted_at >= @since) AND (@until IS NULL OR quoted_at < @until)
+      ORDER BY quoted_at DESC, id DESC
+      LIMIT 1
+    `).get({ since: since ?? null, until: until ?? null });
+    return row ? { quotedAt: row.quoted_at, effectivePrice: row.effective_price } : null;
+  }
+
+  /**
+   * Transactions in the transactions.csv layout, oldest first
+   * @param {object} options
+   * @param {string} options.since - Only transactions at or after this ISO timestamp
+   * @param {string} options.until - Only transactions before this ISO timestamp
+   * @returns {Array<object>} Records keyed by CSV header
+   */
+  getTransactions({ since, until } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM transactions
+      WHERE (@since IS NULL OR timestamp >= @since) AND (@until IS NULL OR timestamp < @until)
+      ORDER BY timestamp, id
+    `).all({ since: since ?? null, until: until ?? null }).map(toCsvRecord);
+  }
+
+  /**
+   * Most recent transactions, newest first
+   * @param {number} limit - Max number of records
+   * @param {object} options
+   * @param {string} options.type - Only return this transaction_type (e.g. BASE_SWAP)
+   * @returns {Promise<Array<object>>} Records keyed by CSV header
+   */
+  async getRecentTransactions(limit = 20, { type } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM transactions
+      WHERE @type IS NULL OR type = @type
+      ORDER BY timestamp DESC, id DESC
+      LIMIT @limit
+    `).all({ type: type ? type.toUpperCase() : null, limit }).map(toCsvRecord);
+  }
+
+  async getTransactionSummary() {
+    const counts = Object.fromEntries(
+      this.db.prepare('SELECT type, COUNT(*) AS count FROM transactions GROUP BY type').all()
+        .map(({ type, count }) => [type, count])
+    );
+
+    return {
+      totalSwaps: counts.SWAP || 0,
+      totalBaseSwaps: counts.BASE_SWAP || 0,
+      totalBurns: counts.BASE_BURN || 0,
+      totalTransfers: counts.TRANSFER || 0,
+      totalRecoveries: counts.RECOVERY_TRANSFER || 0,
+    };
+  }
+
+  /**
+   * Write transactions to a CSV file with the transactions.csv header layout
+   * @param {string} filepath - Output file
+   * @param {object} options - Time range, as for getTransactions
+   * @param {boolean} options.schemaMarker - Start the file with the schema version line
+   * @returns {number} Transactions written
+   */
+  exportCsv(filepath, { schemaMarker = false, ...range } = {}) {
+    const records = this.getTransactions(range);
+    writeCsvFile(filepath, records, { schemaMarker });
+    return records.length;
+  }
+
+  /**
+   * Import transactions from CSV files written by older versions of the bot
+   *
+   * Each file is read once (files are recognised by their content hash), and rows already
+   * in the ledger - from an overlapping backup, say - are skipped. A file that cannot be read
+   * or has malformed rows is not imported at all; verify-csv --repair quarantines those rows.
+   * @param {Array<string>} filepaths - CSV files to import
+   * @returns {Array<{file: string, rows: number, imported: number, skipped: boolean, version?: number, error?: string}>}
+   */
+  importCsvFiles(filepaths) {
+    const seen = this.db.prepare('SELECT 1 FROM csv_imports WHERE sha256 = ?').pluck();
+    const record = this.db.prepare('INSERT INTO csv_imports (file, sha256, imported_at, rows, imported) VALUES (?, ?, ?, ?, ?)');
+
+    return filepaths.map(filepath => {
+      let sha256, version, records, malformed;
+      try {
+        sha256 = createHash('sha256').update(readFileSync(filepath)).digest('hex');
+        if (seen.get(sha256)) {
+          return { file: filepath, rows: 0, imported: 0, skipped: true };
+        }
+        ({ version, records, malformed } = readCsvFile(filepath));
+      } catch (error) {
+        return { file: filepath, rows: 0, imported: 0, skipped: false, error: error.message };
+      }
+      if (malformed.length > 0) {
+        const [first] = malformed;
+        return {
+          file: filepath,
+          rows: records.length,
+          imported: 0,
+          skipped: false,
+          error: `${malformed.length} malformed row(s), first at line ${first.line} (${first.error})`,
+        };
+      }
+
+      const imported = this.db.transaction(() => {
+        const count = records.filter(row => this.insertTransaction(row)).length;
+        record.run(filepath, sha256, new Date().toISOString(), records.length, count);
+        return count;
+      })();
+
+      return { file: filepath, rows: records.length, imported, skipped: false, version };
+    });
+  }
+
+  /**
+   * Import the JSON state files older versions of the bot kept in a directory. Each file is
+   * imported in one transaction and then renamed to <file>.imported, so it is read only once.
+   * @param {string} dir - Directory the bot ran from
+   * @returns {Array<{file: string, imported: number}>}
+   */
+  importLegacyJsonFiles(dir = process.cwd()) {
+    return Object.entries(LEGACY_JSON_FILES)
+      .filter(([file]) => existsSync(join(dir, file)))
+      .map(([file, load]) => {
+        const filepath = join(dir, file);
+        const imported = this.db.transaction(() => load(this, readJsonFile(filepath, {})))();
+        renameSync(filepath, `${filepath}.imported`);
+        return { file, imported };
+      });
+  }
+
+  /**
+   * transactions.csv and its backups in a directory, oldest backup first
+   * @param {string} dir - Directory the bot ran from
+   * @returns {Array<string>}
+   */
+  static findLegacyCsvFiles(dir = process.cwd()) {
+    const backupDir = join(dir, 'transaction-backups');
+    const backups = existsSync(backupDir)
+      ? readdirSync(backupDir)
+        .filter(file => /^transactions_\d{8}_\d{4}\.csv$/.test(file))
+        .sort()
+        .map(file => join(backupDir, file))
+      : [];
+    const current = join(dir, 'transactions.csv');
+
+    return [...backups, ...(existsSync(current) ? [current] : [])];
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,129 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics for the balance maintainer bot
+ *
+ * All metrics live on a dedicated registry (not the prom-client global) and are
+ * served in text format from the status server's /metrics endpoint.
+ */
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'ario_topup_process_' });
+
+export const metrics = {
+  targetBalance: new client.Gauge({
+    name: 'ario_topup_target_balance_ario',
+    help: 'ARIO balance of each target AO wallet',
+    labelNames: ['target', 'address'],
+    registers: [registry],
+  }),
+
+  targetMinBalance: new client.Gauge({
+    name: 'ario_topup_target_min_balance_ario',
+    help: 'Configured minimum ARIO balance of each target AO wallet',
+    labelNames: ['target', 'address'],
+    registers: [registry],
+  }),
+
+  baseBalance: new client.Gauge({
+    name: 'ario_topup_base_balance',
+    help: 'Base wallet balance by token (ETH, USDC, ARIO)',
+    labelNames: ['token'],
+    registers: [registry],
+  }),
+
+  runs: new client.Counter({
+    name: 'ario_topup_runs_total',
+    help: 'Top-up cycles by outcome',
+    labelNames: ['outcome'],
+    registers: [registry],
+  }),
+
+  lastRunTimestamp: new client.Gauge({
+    name: 'ario_topup_last_run_timestamp_seconds',
+    help: 'Unix time the last top-up cycle finished',
+    registers: [registry],
+  }),
+
+  swaps: new client.Counter({
+    name: 'ario_topup_swaps_total',
+    help: 'USDC → ARIO swaps by result',
+    labelNames: ['result'],
+    registers: [registry],
+  }),
+
+  usdcSpent: new client.Counter({
+    name: 'ario_topup_usdc_spent_total',
+    help: 'USDC spent on swaps',
+    registers: [registry],
+  }),
+
+  arioBought: new client.Counter({
+    name: 'ario_topup_ario_bought_total',
+    help: 'ARIO received from swaps',
+    registers: [registry],
+  }),
+
+  arioBurned: new client.Counter({
+    name: 'ario_topup_ario_burned_total',
+    help: 'ARIO burned on Base to bridge to AO',
+    labelNames: ['target'],
+    registers: [registry],
+  }),
+
+  gasUsed: new client.Counter({
+    name: 'ario_topup_gas_used_total',
+    help: 'Gas used by Base transactions',
+    labelNames: ['type'],
+    registers: [registry],
+  }),
+
+  bridgeLatency: new client.Histogram({
+    name: 'ario_topup_bridge_latency_seconds',
+    help: 'Time from a burn on Base to its Credit-Notice on AO',
+    buckets: [60, 300, 600, 900, 1800, 3600, 7200, 21600, 86400],
+    registers: [registry],
+  }),
+
+  bridgePending: new client.Gauge({
+    name: 'ario_topup_bridge_pending',
+    help: 'Burns waiting for a Credit-Notice, by ledger status',
+    labelNames: ['status'],
+    registers: [registry],
+  }),
+
+  bridgeEscalations: new client.Counter({
+    name: 'ario_topup_bridge_escalations_total',
+    help: 'Burns escalated because no Credit-Notice arrived before the deadline',
+    registers: [registry],
+  }),
+
+  baseRpcHealthy: new client.Gauge({
+    name: 'ario_topup_base_rpc_healthy',
+    help: 'Whether each Base RPC endpoint passed its last health check (1) or not (0)',
+    labelNames: ['endpoint'],
+    registers: [registry],
+  }),
+
+  baseRpcLatency: new client.Gauge({
+    name: 'ario_topup_base_rpc_latency_ms',
+    help: 'Moving average request latency of each Base RPC endpoint',
+    labelNames: ['endpoint'],
+    registers: [registry],
+  }),
+
+  baseRpcBlockLag: new client.Gauge({
+    name: 'ario_topup_base_rpc_block_lag',
+    help: 'Blocks each Base RPC endpoint trails the highest one',
+    labelNames: ['endpoint'],
+    registers: [registry],
+  }),
+
+  failures: new client.Counter({
+    name: 'ario_topup_failures_total',
+    help: 'Failures by pipeline stage',
+    labelNames: ['stage'],
+    registers: [registry],
+  }),
+};
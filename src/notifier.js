@@ -0,0 +1,414 @@
+import { WebClient } from '@slack/web-api';
+import nodemailer from 'nodemailer';
+
+/**
+ * Notification routing for the balance maintainer bot
+ *
+ * Callers write messages once, in Slack mrkdwn (`*bold*`, `_italic_`, `` `code` ``), and give
+ * each one a severity. Every configured channel receives the severities at or above its
+ * minimum, at the destination configured for that severity (for example a pager channel
+ * for critical alerts and a quieter one for routine successes). Each backend converts the
+ * text to its own format.
+ *
+ * Backends: Slack, Discord webhook, Telegram, generic JSON webhook and SMTP email.
+ *
+ * A message can be sent as a reply to an earlier one (its thread). Slack replies in the
+ * thread, Telegram replies to the message, email replies in the same conversation and the
+ * webhook includes the parent's id; Discord posts it as a new message.
+ */
+
+export const SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+const SEVERITY_EMOJI = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+
+// Discord embed colours by severity
+const DISCORD_COLORS = { info: 0x2eb67d, warning: 0xecb22e, critical: 0xe01e5a };
+
+/**
+ * Render Slack mrkdwn with another format's markup. Code spans are kept literal.
+ * @param {string} text - Slack mrkdwn
+ * @param {object} style - { escape, bold, italic, code } functions
+ * @returns {string}
+ */
+function renderMrkdwn(text, style) {
+  return text.split(/(`[^`\n]+`)/).map(part => {
+    if (/^`[^`\n]+`$/.test(part)) {
+      return style.code(style.escape(part.slice(1, -1)));
+    }
+    return style.escape(part)
+      .replace(/\*([^*\n]+)\*/g, (_, inner) => style.bold(inner))
+      .replace(/(^|[\s(])_([^_\n]+)_(?=$|[\s).,:])/gm, (_, before, inner) => before + style.italic(inner));
+  }).join('');
+}
+
+/**
+ * Plain text version of a mrkdwn message (email, webhook payloads)
+ * @param {string} text - Slack mrkdwn
+ * @returns {string}
+ */
+export function toPlainText(text) {
+  return renderMrkdwn(text, {
+    escape: s => s,
+    bold: s => s,
+    italic: s => s,
+    code: s => s,
+  });
+}
+
+/**
+ * First line of a message without markup, used as a title or subject
+ * @param {string} text - Slack mrkdwn
+ * @returns {string}
+ */
+export function getTitle(text) {
+  return toPlainText(text.split('\n')[0]).trim();
+}
+
+/**
+ * Destination for a severity: the per-severity override, else the default
+ */
+function destinationFor(config, severity) {
+  return config.bySeverity?.[severity] || config.destination;
+}
+
+class SlackChannel {
+  constructor(config) {
+    this.name = 'slack';
+    this.config = config;
+    this.web = new WebClient(config.token);
+  }
+
+  async send(severity, message, { blocks, thread } = {}) {
+    const destination = destinationFor(this.config, severity);
+    const post = (options) => this.web.chat.postMessage({
+      text: message,
+      // With blocks, text is the fallback shown in notifications
+      ...(blocks ? { blocks } : {}),
+      mrkdwn: true,
+      unfurl_links: false,
+      ...options,
+    });
+
+    if (thread && thread.destination === destination) {
+      // Critical replies are also shown in the channel so they are not buried in a thread
+      const response = await post({ channel: thread.channel, thread_ts: thread.ts, reply_broadcast: severity === SEVERITY.CRITICAL });
+      return { channel: response.channel, ts: response.ts, destination };
+    }
+
+    if (thread) {
+      // The thread lives in another channel: keep it complete, but deliver to this severity's channel too
+      await post({ channel: thread.channel, thread_ts: thread.ts });
+    }
+
+    const response = await post({ channel: destination });
+    return { channel: response.channel, ts: response.ts, destination };
+  }
+
+  async update(ref, message, { blocks } = {}) {
+    await this.web.chat.update({
+      channel: ref.channel,
+      ts: ref.ts,
+      text: message,
+      ...(blocks ? { blocks } : {}),
+    });
+  }
+}
+
+class DiscordChannel {
+  constructor(config) {
+    this.name = 'discord';
+    this.config = config;
+  }
+
+  format(severity, message) {
+    const [, ...body] = message.split('\n');
+    const markdown = (text) => renderMrkdwn(text, {
+      escape: s => s,
+      bold: s => `**${s}**`,
+      italic: s => `_${s}_`,
+      code: s => `\`${s}\``,
+    });
+
+    return {
+      embeds: [{
+        title: getTitle(message).slice(0, 256),
+        // Discord caps embed descriptions at 4096 characters
+        description: markdown(body.join('\n').trim()).slice(0, 4096) || undefined,
+        color: DISCORD_COLORS[severity],
+      }],
+    };
+  }
+
+  async send(severity, message) {
+    const url = destinationFor(this.config, severity);
+    // wait=true returns the message, so it can be edited later
+    const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}wait=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.format(severity, message)),
+      signal: AbortSignal.timeout(this.config.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Discord webhook returned HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    return { url, messageId: body.id, severity };
+  }
+
+  async update(ref, message) {
+    const response = await fetch(`${ref.url.split('?')[0]}/messages/${ref.messageId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.format(ref.severity, message)),
+      signal: AbortSignal.timeout(this.config.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Discord webhook edit returned HTTP ${response.status}`);
+    }
+  }
+}
+
+class TelegramChannel {
+  constructor(config) {
+    this.name = 'telegram';
+    this.config = config;
+  }
+
+  format(message) {
+    // HTML rather than Markdown: AO addresses contain underscores
+    return renderMrkdwn(message, {
+      escape: s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+      bold: s => `<b>${s}</b>`,
+      italic: s => `<i>${s}</i>`,
+      code: s => `<code>${s}</code>`,
+    });
+  }
+
+  async call(method, payload) {
+    const response = await fetch(`https://api.telegram.org/bot${this.config.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.config.timeoutMs),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body?.ok) {
+      throw new Error(`Telegram ${method} failed: ${body?.description || `HTTP ${response.status}`}`);
+    }
+    return body.result;
+  }
+
+  async send(severity, message, { thread } = {}) {
+    const chatId = destinationFor(this.config, severity);
+    const result = await this.call('sendMessage', {
+      chat_id: chatId,
+      text: this.format(message),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      // Routine messages arrive silently
+      disable_notification: severity === SEVERITY.INFO,
+      ...(thread && String(thread.chatId) === String(chatId)
+        ? { reply_parameters: { message_id: thread.messageId, allow_sending_without_reply: true } }
+        : {}),
+    });
+    return { chatId, messageId: result.message_id };
+  }
+
+  async update(ref, message) {
+    await this.call('editMessageText', {
+      chat_id: ref.chatId,
+      message_id: ref.messageId,
+      text: this.format(message),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    });
+  }
+}
+
+class WebhookChannel {
+  constructor(config) {
+    this.name = 'webhook';
+    this.config = config;
+  }
+
+  async post(url, payload) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.config.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook returned HTTP ${response.status}`);
+    }
+  }
+
+  async send(severity, message, { id, thread } = {}) {
+    const url = destinationFor(this.config, severity);
+    await this.post(url, {
+      id,
+      threadId: thread?.id || null,
+      type: 'notification',
+      severity,
+      title: getTitle(message),
+      text: toPlainText(message),
+      markdown: message,
+      timestamp: new Date().toISOString(),
+    });
+    return { url, id, severity };
+  }
+
+  async update(ref, message) {
+    // Receivers match updates to the original notification by id
+    await this.post(ref.url, {
+      id: ref.id,
+      type: 'update',
+      severity: ref.severity,
+      title: getTitle(message),
+      text: toPlainText(message),
+      markdown: message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+class EmailChannel {
+  constructor(config) {
+    this.name = 'email';
+    this.config = config;
+    this.transport = nodemailer.createTransport(config.smtpUrl);
+  }
+
+  async send(severity, message, { thread } = {}) {
+    const to = destinationFor(this.config, severity);
+    const subject = `[ARIO top-up] ${SEVERITY_EMOJI[severity]} ${getTitle(message)}`;
+    const info = await this.transport.sendMail({
+      from: this.config.from,
+      to,
+      subject,
+      text: toPlainText(message),
+      ...(thread ? { inReplyTo: thread.messageId, references: thread.messageId } : {}),
+    });
+    return { to, subject, messageId: info.messageId, severity };
+  }
+
+  async update(ref, message) {
+    // Email cannot be edited: reply in the same thread instead
+    await this.transport.sendMail({
+      from: this.config.from,
+      to: ref.to,
+      subject: `Re: ${ref.subject}`,
+      inReplyTo: ref.messageId,
+      references: ref.messageId,
+      text: toPlainText(message),
+    });
+  }
+}
+
+const CHANNEL_TYPES = {
+  slack: SlackChannel,
+  discord: DiscordChannel,
+  telegram: TelegramChannel,
+  webhook: WebhookChannel,
+  email: EmailChannel,
+};
+
+let channels = [];
+let log = console;
+let sequence = 0;
+
+/**
+ * Set up the notification channels. A channel only receives the severities it has a
+ * destination for, so e.g. a Discord webhook configured for critical alerts alone stays quiet otherwise.
+ * @param {object} config - config.notifications: one entry per channel type, each with
+ *   `enabled`, `destination`, `bySeverity` ({ info, warning, critical } overrides) and `minSeverity`
+ * @param {object} logger - Winston logger instance
+ * @returns {Array<string>} Names of the enabled channels
+ */
+export function configureNotifier(config, logger) {
+  log = logger;
+  channels = Object.entries(CHANNEL_TYPES)
+    .filter(([name]) => config[name]?.enabled)
+    .map(([name, Channel]) => {
+      const channel = new Channel({ timeoutMs: 10000, ...config[name] });
+      channel.minSeverity = config[name].minSeverity || SEVERITY.INFO;
+      return channel;
+    });
+
+  return channels.map(channel => channel.name);
+}
+
+/**
+ * Names of the enabled channels
+ * @returns {Array<string>}
+ */
+export function getNotificationChannels() {
+  return channels.map(channel => channel.name);
+}
+
+/**
+ * Send a message to every channel that accepts its severity
+ * @param {string} severity - SEVERITY.INFO, WARNING or CRITICAL
+ * @param {string} message - Slack mrkdwn text; the first line is used as the title
+ * @param {object} options
+ * @param {Array<object>} options.blocks - Slack Block Kit layout (other channels use the text)
+ * @param {object|null} options.thread - Reference returned by an earlier notify() to reply to
+ * @returns {Promise<object|null>} Per-channel references for updateNotification, or null if nothing was sent
+ */
+export async function notify(severity, message, { blocks, thread = null } = {}) {
+  const targets = channels.filter(channel =>
+    SEVERITY_RANK[severity] >= SEVERITY_RANK[channel.minSeverity] && destinationFor(channel.config, severity));
+
+  if (targets.length === 0) {
+    if (channels.length === 0) {
+      log.info(`No notification channel configured - ${severity} notification not sent: ${getTitle(message)}`);
+    }
+    return null;
+  }
+
+  const id = `${Date.now()}-${++sequence}`;
+  const refs = {};
+
+  await Promise.all(targets.map(async (channel) => {
+    try {
+      refs[channel.name] = await channel.send(severity, message, { id, blocks, thread: thread?.[channel.name] });
+    } catch (error) {
+      log.error(`Failed to send ${severity} notification to ${channel.name}:`, error);
+    }
+  }));
+
+  return Object.keys(refs).length > 0 ? refs : null;
+}
+
+/**
+ * Replace a previously sent message (e.g. to mark an alert resolved). Channels that cannot
+ * edit messages send a follow-up instead.
+ * @param {object|null} ref - Reference returned by notify
+ * @param {string} message - New mrkdwn text
+ * @param {object} options
+ * @param {Array<object>} options.blocks - New Slack Block Kit layout
+ */
+export async function updateNotification(ref, message, { blocks } = {}) {
+  if (!ref) {
+    return;
+  }
+
+  // Alerts stored before notify() existed hold a bare Slack reference
+  const refs = ref.ts && ref.channel ? { slack: ref } : ref;
+
+  await Promise.all(channels
+    .filter(channel => refs[channel.name])
+    .map(async (channel) => {
+      try {
+        await channel.update(refs[channel.name], message, { blocks });
+      } catch (error) {
+        log.error(`Failed to update ${channel.name} notification:`, error);
+      }
+    }));
+}
@@ -0,0 +1,188 @@
+import { ethers } from 'ethers';
+import { QUOTE_SOURCE } from './ledger.js';
+
+/**
+ * Independent price sanity check for swaps
+ *
+ * The aggregator's effective price (USDC per ARIO) is compared against every available
+ * reference before a swap is sent:
+ * - a fixed reference price from the configuration
+ * - the spot price of a concentrated liquidity pool on Base (Uniswap v3 style slot0)
+ * - the median of the bot's own recent quotes that passed this check (kept in the ledger)
+ *
+ * The swap is blocked when the quote is further than the configured band from any of them.
+ * A configured source that cannot be read also blocks the swap, and so does having no
+ * reference at all; the median only applies once it has enough samples.
+ */
+
+const POOL_ABI = [
+  'function slot0()',
+  'function token0() view returns (address)',
+];
+
+export class PriceSanityCheck {
+  /**
+   * @param {object} config - Price check settings
+   * @param {boolean} config.enabled - Check swaps at all
+   * @param {number} config.maxDeviationPercent - Allowed distance between the quote and a reference (%)
+   * @param {number|null} config.referencePrice - Fixed reference price (USDC per ARIO)
+   * @param {string|null} config.poolAddress - ARIO/USDC pool on Base to read the spot price from
+   * @param {number} config.medianWindowHours - Quotes older than this are left out of the median
+   * @param {number} config.medianMinSamples - Quotes needed before the median is used
+   * @param {object} tokens - Token addresses and decimals on Base
+   * @param {string} tokens.arioAddress
+   * @param {number} tokens.arioDecimals
+   * @param {number} tokens.usdcDecimals
+   * @param {object} provider - Base provider (for the pool read)
+   * @param {object} logger - Winston logger instance
+   * @param {Ledger} ledger - Where accepted quotes are stored (in memory for dry runs)
+   */
+  constructor(config, tokens, provider, logger, ledger) {
+    this.config = config;
+    this.tokens = tokens;
+    this.provider = provider;
+    this.logger = logger;
+    this.ledger = ledger;
+  }
+
+  /**
+   * Median of the recorded quotes within the window
+   * @param {number} now - Timestamp (ms)
+   * @returns {{price: number|null, samples: number}}
+   */
+  getMedian(now = Date.now()) {
+    const since = new Date(now - this.config.medianWindowHours * 60 * 60 * 1000).toISOString();
+    const prices = this.ledger.getQuotes(QUOTE_SOURCE.PRICE_CHECK, { since })
+      .map(quote => quote.price)
+      .sort((a, b) => a - b);
+
+    if (prices.length < this.config.medianMinSamples || prices.length === 0) {
+      return { price: null, samples: prices.length };
+    }
+
+    const middle = Math.floor(prices.length / 2);
+    const price = prices.length % 2 === 1 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+    return { price, samples: prices.length };
+  }
+
+  /**
+   * Spot price of the configured pool, in USDC per ARIO
+   * @returns {Promise<number>}
+   */
+  async getPoolPrice() {
+    const pool = new ethers.Contract(this.config.poolAddress, POOL_ABI, this.provider);
+    // slot0 differs between Uniswap v3 forks after the first field, so only sqrtPriceX96 is decoded
+    const [slot0, token0] = await Promise.all([
+      this.provider.call({ to: this.config.poolAddress, data: pool.interface.encodeFunctionData('slot0') }),
+      pool.token0(),
+    ]);
+
+    const sqrtPrice = Number(BigInt(slot0.slice(0, 66))) / 2 ** 96;
+    // token1 per token0, in the tokens' smallest units
+    const rawPrice = sqrtPrice * sqrtPrice;
+    if (rawPrice === 0) {
+      throw new Error(`Pool ${this.config.poolAddress} has no price (not initialized)`);
+    }
+
+    const arioIsToken0 = token0.toLowerCase() === this.tokens.arioAddress.toLowerCase();
+    const decimalsFactor = 10 ** (this.tokens.arioDecimals - this.tokens.usdcDecimals);
+    return (arioIsToken0 ? rawPrice : 1 / rawPrice) * decimalsFactor;
+  }
+
+  /**
+   * Reference prices to compare a quote against
+   * @returns {Promise<{references: Array<{source: string, price: number}>, errors: Array<string>}>}
+   */
+  async getReferences() {
+    const references = [];
+    const errors = [];
+
+    if (this.config.referencePrice !== null) {
+      references.push({ source: 'reference price', price: this.config.referencePrice });
+    }
+
+    if (this.config.poolAddress) {
+      try {
+        references.push({ source: 'Base pool', price: await this.getPoolPrice() });
+      } catch (error) {
+        this.logger.warn(`Could not read the price of pool ${this.config.poolAddress}: ${error.message}`);
+        errors.push(`Base pool price unavailable (${error.message})`);
+      }
+    }
+
+    const median = this.getMedian();
+    if (median.price !== null) {
+      references.push({ source: `median of ${median.samples} recent quotes`, price: median.price });
+    } else {
+      this.logger.info(`Quote median not used yet: ${median.samples} of ${this.config.medianMinSamples} quotes recorded`);
+    }
+
+    return { references, errors };
+  }
+
+  /**
+   * Check a quote against the references
+   * @param {number} price - Quoted effective price (USDC per ARIO)
+   * @returns {Promise<{ok: boolean, reason: string|null, price: number, references: Array<{source: string, price: number, deviationPercent: number}>}>}
+   */
+  async check(price) {
+    if (!this.config.enabled) {
+      return { ok: true, reason: null, price, references: [] };
+    }
+
+    const { references, errors } = await this.getReferences();
+    const compared = references.map(reference => ({
+      ...reference,
+      deviationPercent: (price / reference.price - 1) * 100,
+    }));
+
+    this.logger.info(`🔎 Price check: quote 1 ARIO = ${price.toFixed(6)} USDC`);
+    compared.forEach(reference => this.logger.info(
+      `├─ ${reference.source}: ${reference.price.toFixed(6)} USDC (${reference.deviationPercent >= 0 ? '+' : ''}${reference.deviationPercent.toFixed(2)}%)`
+    ));
+
+    const outside = compared.filter(reference => Math.abs(reference.deviationPercent) > this.config.maxDeviationPercent);
+    const problems = [
+      ...errors,
+      ...(references.length === 0 && errors.length === 0 ? ['no reference price is available'] : []),
+      ...outside.map(reference =>
+        `quote ${price.toFixed(6)} USDC/ARIO is ${Math.abs(reference.deviationPercent).toFixed(2)}% ` +
+        `${reference.deviationPercent > 0 ? 'above' : 'below'} the ${reference.source} (${reference.price.toFixed(6)})`
+      ),
+    ];
+
+    if (problems.length > 0) {
+      const reason = `Price sanity check failed (band ±${this.config.maxDeviationPercent}%): ${problems.join('; ')}`;
+      this.logger.warn(`└─ ❌ ${reason}`);
+      return { ok: false, reason, price, references: compared };
+    }
+
+    this.logger.info(`└─ ✅ Within ±${this.config.maxDeviationPercent}% of every reference`);
+    this.recordQuote(price);
+
+    return { ok: true, reason: null, price, references: compared };
+  }
+
+  /**
+   * Add an accepted quote to the history behind the median
+   * @param {number} price - Effective price (USDC per ARIO)
+   */
+  recordQuote(price) {
+    this.ledger.recordQuote({ source: QUOTE_SOURCE.PRICE_CHECK, effectivePrice: price });
+  }
+
+  /**
+   * Configured references and the current median, for the status output
+   */
+  getStatus() {
+    const median = this.getMedian();
+    return {
+      enabled: this.config.enabled,
+      maxDeviationPercent: this.config.maxDeviationPercent,
+      referencePrice: this.config.referencePrice,
+      poolAddress: this.config.poolAddress,
+      medianPrice: median.price,
+      medianSamples: median.samples,
+    };
+  }
+}
@@ -0,0 +1,80 @@
+import { QUOTE_SOURCE } from './ledger.js';
+
+/**
+ * Rolling ARIO price history for opportunistic buying
+ *
+ * Each top-up cycle samples the current price (KyberSwapDEX.getPrice) into the ledger's
+ * quotes table. A price more than
+ * the configured margin below the moving average of the earlier samples is a dip, and
+ * wallets between their minimum and their soft ceiling may be topped up early.
+ */
+
+export class PriceTracker {
+  /**
+   * @param {object} config - Strategy settings
+   * @param {number} config.windowHours - Samples older than this are left out of the moving average
+   * @param {number} config.minSamples - Samples needed before dips are recognised
+   * @param {number} config.discountPercent - How far below the average a price has to be (%)
+   * @param {object} logger - Winston logger instance
+   * @param {Ledger} ledger - Where samples are stored (in memory for dry runs)
+   */
+  constructor(config, logger, ledger) {
+    this.config = config;
+    this.logger = logger;
+    this.ledger = ledger;
+  }
+
+  /**
+   * Moving average of the samples within the window
+   * @param {number} now - Timestamp (ms)
+   * @returns {{average: number|null, samples: number}} average is null until there are enough samples
+   */
+  getAverage(now = Date.now()) {
+    const since = new Date(now - this.config.windowHours * 60 * 60 * 1000).toISOString();
+    const prices = this.ledger.getQuotes(QUOTE_SOURCE.PRICE_SAMPLE, { since }).map(sample => sample.price);
+
+    if (prices.length === 0 || prices.length < this.config.minSamples) {
+      return { average: null, samples: prices.length };
+    }
+    return { average: prices.reduce((sum, price) => sum + price, 0) / prices.length, samples: prices.length };
+  }
+
+  /**
+   * Compare a new price with the moving average, then add it to the history
+   * @param {number} price - Current price (USDC per ARIO)
+   * @param {number|null} priceImpact - Price impact of the sampled route (%)
+   * @returns {{price: number, average: number|null, samples: number, belowAveragePercent: number|null, isDip: boolean}}
+   */
+  evaluate(price, priceImpact = null) {
+    const { average, samples } = this.getAverage();
+    const belowAveragePercent = average !== null ? (1 - price / average) * 100 : null;
+    const isDip = belowAveragePercent !== null && belowAveragePercent >= this.config.discountPercent;
+
+    this.record(price, priceImpact);
+    return { price, average, samples, belowAveragePercent, isDip };
+  }
+
+  /**
+   * Add a price sample
+   * @param {number} price - USDC per ARIO
+   * @param {number|null} priceImpact - Price impact of the sampled route (%)
+   */
+  record(price, priceImpact = null) {
+    this.ledger.recordQuote({ source: QUOTE_SOURCE.PRICE_SAMPLE, effectivePrice: price, priceImpact });
+  }
+
+  /**
+   * Latest sample and moving average, for the status output
+   */
+  getStatus() {
+    const [latest = null] = this.ledger.getQuotes(QUOTE_SOURCE.PRICE_SAMPLE, { limit: 1 });
+    const { average, samples } = this.getAverage();
+    return {
+      latestPrice: latest?.price ?? null,
+      sampledAt: latest?.at ?? null,
+      average,
+      samples,
+      buyBelow: average !== null ? average * (1 - this.config.discountPercent / 100) : null,
+    };
+  }
+}
@@ -0,0 +1,320 @@
+import { ethers } from 'ethers';
+import { escapeCSV } from './csv.js';
+
+/**
+ * Cost-basis and profit/loss reports over the transaction ledger
+ *
+ * For each period (a UTC calendar month, or one ad-hoc range) the report covers:
+ * - swaps: USDC spent, ARIO acquired and the average acquisition cost (USDC per ARIO)
+ * - realized slippage: the USDC-weighted average against the quote, and what it cost, over the
+ *   swaps whose received output was measured (older and imported rows only have the quoted
+ *   price impact, which is not counted)
+ * - gas: swap and burn gas in ETH (gas used × effectiveGasPrice from the receipt) and in USD
+ *   at the ETH price recorded with each transaction
+ * - bridge: ARIO burned on Base against ARIO credited on AO; the difference is the bridge
+ *   fee or shortfall, valued at the period's average cost
+ *
+ * USDC is counted as USD. Base's L1 data fee is not in the receipt's effectiveGasPrice and
+ * is not included.
+ */
+
+export const REPORT_FORMATS = {
+  markdown: 'md',
+  json: 'json',
+  csv: 'csv',
+};
+
+const SWAP_TYPES = ['SWAP', 'BASE_SWAP'];
+
+// Flattened report columns for CSV output
+const CSV_COLUMNS = [
+  ['period', period => period.period],
+  ['since', period => period.since],
+  ['until', period => period.until],
+  ['swaps', period => period.swaps.count],
+  ['usdc_spent', period => period.swaps.usdcSpent],
+  ['ario_acquired', period => period.swaps.arioAcquired],
+  ['average_cost_usdc', period => period.swaps.averageCost],
+  ['slippage_percent', period => period.slippage.averagePercent],
+  ['slippage_cost_usdc', period => period.slippage.costUsdc],
+  ['slippage_unmeasured_swaps', period => period.slippage.unmeasured],
+  ['gas_transactions', period => period.gas.transactions],
+  ['gas_eth', period => period.gas.eth],
+  ['gas_usd', period => period.gas.usd],
+  ['gas_unpriced', period => period.gas.unpriced],
+  ['burns', period => period.bridge.burns],
+  ['ario_burned', period => period.bridge.burned],
+  ['ario_credited', period => period.bridge.credited],
+  ['bridge_shortfall_ario', period => period.bridge.shortfall],
+  ['bridge_shortfall_usdc', period => period.bridge.shortfallUsdc],
+  ['uncredited_burns', period => period.bridge.uncredited],
+  ['total_cost_usd', period => period.totalCostUsd],
+  ['all_in_cost_usd', period => period.allInCost],
+  ['market_value_usd', period => period.markToMarket?.value],
+  ['profit_loss_usd', period => period.markToMarket?.profitLoss],
+];
+
+/**
+ * UTC month containing a time, as YYYY-MM
+ */
+function monthOf(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
+
+/**
+ * Start and end of a UTC month
+ * @param {string} month - YYYY-MM
+ * @returns {{since: string, until: string}} ISO timestamps (until is exclusive)
+ */
+export function monthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw new Error(`Invalid month "${month}" (expected YYYY-MM)`);
+  }
+  const year = Number(match[1]);
+  const index = Number(match[2]) - 1;
+  return {
+    since: new Date(Date.UTC(year, index, 1)).toISOString(),
+    until: new Date(Date.UTC(year, index + 1, 1)).toISOString(),
+  };
+}
+
+/**
+ * The month before the one containing a time, as YYYY-MM
+ */
+export function previousMonth(now = Date.now()) {
+  const date = new Date(now);
+  return monthOf(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+}
+
+/**
+ * ETH paid for a transaction's gas, or null when its gas price was not recorded
+ */
+function gasEth(row) {
+  if (!row.gas_used || !row.gas_price_wei) return null;
+  return parseFloat(ethers.formatEther(BigInt(row.gas_used) * BigInt(row.gas_price_wei)));
+}
+
+/**
+ * Figures for one period
+ * @param {Array<object>} rows - Ledger rows in the period (Ledger.getAccountingTransactions)
+ * @param {object} range - { period, since, until }
+ * @param {object} prices
+ * @param {number|null} prices.ethUsd - ETH price for transactions recorded without one
+ * @param {number|null} prices.arioUsd - ARIO price to value the acquired ARIO at
+ * @param {string|null} prices.arioPricedAt - When the ARIO price was quoted
+ */
+function summarizePeriod(rows, range, { ethUsd, arioUsd, arioPricedAt }) {
+  const swaps = rows.filter(row => SWAP_TYPES.includes(row.type));
+  const burns = rows.filter(row => row.type === 'BASE_BURN');
+
+  const usdcSpent = swaps.reduce((sum, row) => sum + (row.from_amount || 0), 0);
+  const arioAcquired = swaps.reduce((sum, row) => sum + (row.to_amount || 0), 0);
+  const averageCost = arioAcquired > 0 ? usdcSpent / arioAcquired : null;
+
+  // Slippage is a share of the quoted output, so its cost is that share of the USDC paid
+  const measured = swaps.filter(row => row.realized_slippage_percent !== null && row.realized_slippage_percent !== undefined);
+  const measuredUsdc = measured.reduce((sum, row) => sum + (row.from_amount || 0), 0);
+  const slippageCost = measured.reduce((sum, row) => sum + (row.from_amount || 0) * row.realized_slippage_percent / 100, 0);
+
+  const gas = { transactions: 0, eth: 0, usd: 0, unpriced: 0, unknown: 0 };
+  for (const row of [...swaps, ...burns].filter(row => row.type !== 'SWAP')) {
+    const eth = gasEth(row);
+    if (eth === null) {
+      gas.unknown += 1;
+      continue;
+    }
+    const price = row.eth_usd ?? ethUsd;
+    gas.transactions += 1;
+    gas.eth += eth;
+    if (price === null || price === undefined) {
+      gas.unpriced += 1;
+    } else {
+      gas.usd += eth * price;
+    }
+  }
+
+  const credited = burns.filter(row => row.credited !== null && row.credited !== undefined);
+  const burned = burns.reduce((sum, row) => sum + (row.from_amount || 0), 0);
+  const creditedBurned = credited.reduce((sum, row) => sum + (row.from_amount || 0), 0);
+  const creditedArio = credited.reduce((sum, row) => sum + row.credited, 0);
+  const shortfall = creditedBurned - creditedArio;
+
+  const totalCostUsd = usdcSpent + gas.usd;
+  const report = {
+    ...range,
+    swaps: { count: swaps.length, usdcSpent, arioAcquired, averageCost },
+    slippage: {
+      averagePercent: measuredUsdc > 0 ? slippageCost / measuredUsdc * 100 : null,
+      costUsdc: slippageCost,
+      measured: measured.length,
+      unmeasured: swaps.length - measured.length,
+    },
+    gas,
+    bridge: {
+      burns: burns.length,
+      burned,
+      credited: creditedArio,
+      shortfall,
+      shortfallPercent: creditedBurned > 0 ? shortfall / creditedBurned * 100 : null,
+      shortfallUsdc: averageCost !== null ? shortfall * averageCost : null,
+      uncredited: burns.length - credited.length,
+    },
+    totalCostUsd,
+    // What each acquired ARIO cost once gas is included
+    allInCost: arioAcquired > 0 ? totalCostUsd / arioAcquired : null,
+    markToMarket: null,
+  };
+
+  if (arioUsd !== null && arioUsd !== undefined) {
+    const value = arioAcquired * arioUsd;
+    report.markToMarket = { arioUsd, pricedAt: arioPricedAt, value, profitLoss: value - totalCostUsd };
+  }
+
+  return report;
+}
+
+/**
+ * Build a cost-basis report from the ledger
+ * @param {object} ledger - Ledger instance
+ * @param {object} options
+ * @param {string} options.since - Start of the report (ISO timestamp, default: first transaction)
+ * @param {string} options.until - End of the report, exclusive (ISO timestamp, default: now)
+ * @param {boolean} options.monthly - Break the range down by UTC month
+ * @param {number|null} options.ethUsd - ETH price for gas of transactions recorded without one
+ * @param {number|null} options.arioUsd - ARIO price to mark the acquired ARIO to market at
+ * @param {string|null} options.arioPricedAt - When arioUsd was quoted (ISO timestamp), if it is not current
+ * @returns {{generatedAt: string, since: string, until: string, periods: Array<object>, total: object}}
+ */
+export function buildReport(ledger, { since, until, monthly = false, ethUsd = null, arioUsd = null, arioPricedAt = null } = {}) {
+  const end = until || new Date().toISOString();
+  const rows = ledger.getAccountingTransactions({ since, until: end });
+  const start = since || rows[0]?.timestamp || end;
+  const prices = { ethUsd, arioUsd, arioPricedAt };
+
+  let periods = [];
+  if (monthly) {
+    const months = [];
+    for (let month = monthOf(start); monthRange(month).since < end; month = monthOf(monthRange(month).until)) {
+      months.push(month);
+    }
+    periods = months.map(month => {
+      const range = monthRange(month);
+      const bounded = { period: month, since: range.since < start ? start : range.since, until: range.until > end ? end : range.until };
+      return summarizePeriod(rows.filter(row => row.timestamp >= bounded.since && row.timestamp < bounded.until), bounded, prices);
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    since: start,
+    until: end,
+    periods,
+    total: summarizePeriod(rows, { period: 'total', since: start, until: end }, prices),
+  };
+}
+
+function formatNumber(value, digits = 2) {
+  if (value === null || value === undefined) return 'n/a';
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Report as a Markdown document
+ */
+export function formatReportMarkdown(report) {
+  const periods = report.periods.length > 0 ? [...report.periods, report.total] : [report.total];
+  const label = period => (period.period === 'total' ? '**Total**' : period.period);
+  const table = (headers, row) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...periods.map(period => `| ${[label(period), ...row(period)].join(' | ')} |`),
+  ].join('\n');
+
+  const { total } = report;
+  const notes = [];
+  if (total.slippage.unmeasured > 0) {
+    notes.push(`- ${total.slippage.unmeasured} swap(s) have no measured output against their quote and are left out of the slippage figures`);
+  }
+  if (total.gas.unknown > 0) {
+    notes.push(`- ${total.gas.unknown} transaction(s) have no recorded gas price and are left out of the gas figures`);
+  }
+  if (total.gas.unpriced > 0) {
+    notes.push(`- ${total.gas.unpriced} transaction(s) have no recorded ETH price; their gas is counted in ETH only`);
+  }
+  if (total.bridge.uncredited > 0) {
+    notes.push(`- ${total.bridge.uncredited} burn(s) have no recorded AO credit and are left out of the bridge shortfall`);
+  }
+
+  return [
+    `# ARIO Top-up Cost Report`,
+    '',
+    `${report.since.slice(0, 10)} to ${report.until.slice(0, 10)} (UTC, end exclusive) - generated ${report.generatedAt}`,
+    '',
+    '## Acquisition Cost',
+    '',
+    table(['Period', 'Swaps', 'USDC spent', 'ARIO acquired', 'Avg cost (USDC/ARIO)', 'All-in cost (USD/ARIO)'], period => [
+      period.swaps.count,
+      formatNumber(period.swaps.usdcSpent),
+      formatNumber(period.swaps.arioAcquired),
+      formatNumber(period.swaps.averageCost, 6),
+      formatNumber(period.allInCost, 6),
+    ]),
+    '',
+    '## Slippage and Gas',
+    '',
+    table(['Period', 'Realized slippage', 'Slippage cost (USDC)', 'Transactions', 'Gas (ETH)', 'Gas (USD)'], period => [
+      period.slippage.averagePercent === null ? 'n/a' : `${formatNumber(period.slippage.averagePercent, 3)}%`,
+      formatNumber(period.slippage.costUsdc),
+      period.gas.transactions,
+      formatNumber(period.gas.eth, 8),
+      formatNumber(period.gas.usd, 4),
+    ]),
+    '',
+    '## Bridge',
+    '',
+    table(['Period', 'Burns', 'ARIO burned', 'ARIO credited', 'Shortfall (ARIO)', 'Shortfall (USDC)', 'Uncredited'], period => [
+      period.bridge.burns,
+      formatNumber(period.bridge.burned),
+      formatNumber(period.bridge.credited),
+      formatNumber(period.bridge.shortfall),
+      formatNumber(period.bridge.shortfallUsdc),
+      period.bridge.uncredited,
+    ]),
+    '',
+    '## Profit / Loss',
+    '',
+    `- Total cost: ${formatNumber(total.totalCostUsd)} USD (${formatNumber(total.swaps.usdcSpent)} USDC swapped + ${formatNumber(total.gas.usd, 4)} USD gas)`,
+    total.markToMarket
+      ? `- Market value of ${formatNumber(total.swaps.arioAcquired)} ARIO at ${formatNumber(total.markToMarket.arioUsd, 6)} USD` +
+        `${total.markToMarket.pricedAt ? ` (quoted ${total.markToMarket.pricedAt})` : ''}: ` +
+        `${formatNumber(total.markToMarket.value)} USD (${total.markToMarket.profitLoss >= 0 ? '+' : ''}${formatNumber(total.markToMarket.profitLoss)} USD)`
+      : '- Market value: n/a (no ARIO price for the period)',
+    ...(notes.length > 0 ? ['', '## Notes', '', ...notes] : []),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Report as CSV, one row per period plus a total row
+ */
+export function formatReportCsv(report) {
+  const periods = [...report.periods, report.total];
+  return [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...periods.map(period => CSV_COLUMNS.map(([, value]) => escapeCSV(value(period))).join(',')),
+  ].join('\n') + '\n';
+}
+
+/**
+ * Report in one of REPORT_FORMATS
+ * @param {object} report - buildReport() result
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ * @returns {string}
+ */
+export function formatReport(report, format) {
+  if (format === 'markdown') return formatReportMarkdown(report);
+  if (format === 'json') return JSON.stringify(report, null, 2) + '\n';
+  if (format === 'csv') return formatReportCsv(report);
+  throw new Error(`Unknown report format "${format}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+}
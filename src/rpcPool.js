@@ -0,0 +1,332 @@
+import { ethers } from 'ethers';
+
+/**
+ * Base RPC pool with health scoring and failover
+ *
+ * An ethers provider backed by several JSON-RPC endpoints, so contracts, the wallet and
+ * the transaction manager use it like any other provider:
+ *
+ * - Every endpoint is health checked (block height, latency) on an interval, and every
+ *   request it serves updates its latency and error rate
+ * - Reads go to the healthiest endpoint and fail over to the next one on network, timeout,
+ *   rate-limit or server errors (never on reverts or other errors the chain itself returns)
+ * - Signed transactions are broadcast to several endpoints at once; one acceptance is enough
+ */
+
+// Base mainnet
+const BASE_CHAIN_ID = 8453;
+
+// Requests remembered per endpoint for the error rate
+const ERROR_WINDOW = 20;
+
+// Weight of the latest request in the moving latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// Errors the chain returned (the same on every endpoint) - retrying elsewhere cannot help
+const DETERMINISTIC_ERRORS = new Set([
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT',
+  'UNSUPPORTED_OPERATION',
+]);
+
+/**
+ * Hide API keys that providers embed in the URL path or query
+ * @param {string} url - Endpoint URL
+ * @returns {string} host (and port) only
+ */
+export function redactRpcUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+export class RpcPool extends ethers.AbstractProvider {
+  /**
+   * @param {Array<string>} urls - JSON-RPC endpoints, in order of preference
+   * @param {object} logger - Winston logger instance
+   * @param {object} config - Health check settings
+   * @param {number} config.timeoutMs - Per-request timeout
+   * @param {number} config.healthCheckIntervalSeconds - How often every endpoint is probed (0 disables)
+   * @param {number} config.maxBlockLag - Blocks an endpoint may trail the highest one before it is unhealthy
+   * @param {number} config.maxErrorPercent - Error rate (% of recent requests) above which an endpoint is unhealthy
+   * @param {number} config.broadcastCount - Endpoints each signed transaction is sent to
+   * @param {object} hooks - Optional callbacks
+   * @param {function} hooks.onHealthCheck - Called with getHealth() after every health check
+   * @param {number} chainId - Expected chain ID
+   */
+  constructor(urls, logger, config = {}, hooks = {}, chainId = BASE_CHAIN_ID) {
+    const network = ethers.Network.from(chainId);
+    super(network);
+
+    this.logger = logger;
+    this.chainId = chainId;
+    this.timeoutMs = config.timeoutMs ?? 10000;
+    this.healthCheckIntervalMs = (config.healthCheckIntervalSeconds ?? 60) * 1000;
+    this.maxBlockLag = config.maxBlockLag ?? 10;
+    this.maxErrorPercent = config.maxErrorPercent ?? 50;
+    this.broadcastCount = config.broadcastCount ?? 3;
+
+    this.endpoints = urls.map(url => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = this.timeoutMs;
+
+      return {
+        name: redactRpcUrl(url),
+        provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 }),
+        latencyMs: null,
+        blockNumber: null,
+        blockLag: 0,
+        results: [],
+        lastError: null,
+        lastCheckedAt: null,
+        probeFailed: false,
+        healthy: true,
+      };
+    });
+
+    this.current = this.endpoints[0];
+    this.healthTimer = null;
+    this.hooks = hooks;
+  }
+
+  /**
+   * Probe every endpoint once, then keep probing on the configured interval
+   */
+  async start() {
+    await this.checkHealth();
+
+    if (this.healthCheckIntervalMs > 0 && !this.healthTimer) {
+      this.healthTimer = setInterval(() => {
+        this.checkHealth().catch(error => this.logger.error('Base RPC health check failed:', error));
+      }, this.healthCheckIntervalMs);
+      // Never keep the process alive just for health checks
+      this.healthTimer.unref();
+    }
+  }
+
+  /**
+   * Probe block height and latency of every endpoint, then log the ranking
+   * @returns {Promise<Array<object>>} Health of each endpoint (see getHealth)
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        const [blockHex, chainIdHex] = await Promise.all([
+          endpoint.provider.send('eth_blockNumber', []),
+          endpoint.provider.send('eth_chainId', []),
+        ]);
+
+        if (Number(chainIdHex) !== this.chainId) {
+          throw new Error(`wrong chain ID ${Number(chainIdHex)} (expected ${this.chainId})`);
+        }
+
+        endpoint.blockNumber = Number(blockHex);
+        endpoint.probeFailed = false;
+        this.recordResult(endpoint, Date.now() - startedAt, null);
+      } catch (error) {
+        endpoint.probeFailed = true;
+        this.recordResult(endpoint, Date.now() - startedAt, error);
+      }
+      endpoint.lastCheckedAt = new Date().toISOString();
+    }));
+
+    this.updateScores();
+
+    const health = this.getHealth();
+    this.logger.info(`🩺 Base RPC health (${health.filter(endpoint => endpoint.healthy).length}/${health.length} healthy):`);
+    health.forEach((endpoint, index) => {
+      const prefix = index === health.length - 1 ? '└─' : '├─';
+      this.logger.info(
+        `${prefix} ${endpoint.healthy ? '✅' : '❌'} ${endpoint.name}${endpoint.current ? ' (current)' : ''}: ` +
+        `block ${endpoint.blockNumber ?? 'unknown'} (lag ${endpoint.blockLag}), ` +
+        `${endpoint.latencyMs ?? '?'}ms, ${endpoint.errorPercent}% errors` +
+        (endpoint.lastError ? ` - ${endpoint.lastError}` : '')
+      );
+    });
+
+    if (this.hooks.onHealthCheck) {
+      this.hooks.onHealthCheck(health);
+    }
+
+    return health;
+  }
+
+  /**
+   * Current health of every endpoint, best first
+   * @returns {Array<{name: string, healthy: boolean, current: boolean, latencyMs: number|null, blockNumber: number|null, blockLag: number, errorPercent: number, lastError: string|null, lastCheckedAt: string|null}>}
+   */
+  getHealth() {
+    return this.rankedEndpoints().map(endpoint => ({
+      name: endpoint.name,
+      healthy: endpoint.healthy,
+      current: endpoint === this.current,
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      blockNumber: endpoint.blockNumber,
+      blockLag: endpoint.blockLag,
+      errorPercent: Math.round(this.errorPercent(endpoint)),
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt,
+    }));
+  }
+
+  errorPercent(endpoint) {
+    if (endpoint.results.length === 0) return 0;
+    return endpoint.results.filter(ok => !ok).length / endpoint.results.length * 100;
+  }
+
+  recordResult(endpoint, latencyMs, error) {
+    endpoint.results.push(!error);
+    if (endpoint.results.length > ERROR_WINDOW) endpoint.results.shift();
+
+    if (error) {
+      endpoint.lastError = error.shortMessage || error.message;
+    } else {
+      endpoint.latencyMs = endpoint.latencyMs === null
+        ? latencyMs
+        : endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING;
+      endpoint.lastError = null;
+    }
+  }
+
+  /**
+   * Recompute block lag and health, and move off the current endpoint if it became unhealthy
+   */
+  updateScores() {
+    const highestBlock = Math.max(0, ...this.endpoints.map(endpoint => endpoint.blockNumber ?? 0));
+
+    for (const endpoint of this.endpoints) {
+      endpoint.blockLag = endpoint.blockNumber === null ? 0 : highestBlock - endpoint.blockNumber;
+      endpoint.healthy = !endpoint.probeFailed
+        && endpoint.blockNumber !== null
+        && endpoint.blockLag <= this.maxBlockLag
+        && this.errorPercent(endpoint) <= this.maxErrorPercent;
+    }
+
+    // Stay on a healthy endpoint rather than flapping between similar ones
+    const [best] = this.rankedEndpoints();
+    if (best !== this.current && !this.current.healthy) {
+      this.logger.warn(`🔀 Base RPC: switching from ${this.current.name} to ${best.name}`);
+      this.current = best;
+    }
+  }
+
+  /**
+   * Endpoints in the order requests should try them: healthy before unhealthy, then by
+   * error rate and latency. Ties keep the configured order.
+   */
+  rankedEndpoints() {
+    const score = (endpoint) => this.errorPercent(endpoint) * 100 + (endpoint.latencyMs ?? this.timeoutMs) + endpoint.blockLag * 1000;
+
+    return this.endpoints
+      .map((endpoint, index) => ({ endpoint, index }))
+      .sort((a, b) =>
+        (b.endpoint.healthy - a.endpoint.healthy) ||
+        (score(a.endpoint) - score(b.endpoint)) ||
+        (a.index - b.index))
+      .map(({ endpoint }) => endpoint);
+  }
+
+  isDeterministicError(error) {
+    return DETERMINISTIC_ERRORS.has(error?.code);
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.chainId);
+  }
+
+  /**
+   * Every provider operation ends up here: broadcasts fan out, everything else fails over
+   */
+  async _perform(req) {
+    if (req.method === 'broadcastTransaction') {
+      return this.broadcast(req);
+    }
+
+    // The current endpoint first, then the rest in ranked order
+    const order = [this.current, ...this.rankedEndpoints().filter(endpoint => endpoint !== this.current)];
+    let lastError;
+
+    for (const endpoint of order) {
+      const startedAt = Date.now();
+      try {
+        const result = await endpoint.provider._perform(req);
+        this.recordResult(endpoint, Date.now() - startedAt, null);
+        if (endpoint !== this.current && !this.current.healthy) {
+          this.logger.warn(`🔀 Base RPC: switching from ${this.current.name} to ${endpoint.name}`);
+          this.current = endpoint;
+        }
+        return result;
+      } catch (error) {
+        if (this.isDeterministicError(error)) {
+          this.recordResult(endpoint, Date.now() - startedAt, null);
+          throw error;
+        }
+
+        this.recordResult(endpoint, Date.now() - startedAt, error);
+        lastError = error;
+
+        if (this.errorPercent(endpoint) > this.maxErrorPercent) {
+          endpoint.healthy = false;
+        }
+        this.logger.warn(`⚠️ Base RPC ${endpoint.name} failed ${req.method}: ${error.shortMessage || error.message} - trying the next endpoint`);
+      }
+    }
+
+    this.updateScores();
+    throw lastError;
+  }
+
+  /**
+   * Send a signed transaction to the best few endpoints in parallel
+   * @returns {Promise<string>} Transaction hash
+   */
+  async broadcast(req) {
+    const targets = this.rankedEndpoints().slice(0, Math.max(1, this.broadcastCount));
+
+    const results = await Promise.allSettled(targets.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        const hash = await endpoint.provider._perform(req);
+        this.recordResult(endpoint, Date.now() - startedAt, null);
+        return hash;
+      } catch (error) {
+        // "Already known" from a second endpoint just means the first one's gossip got there first
+        const known = /already known|known transaction|already imported/i.test(error.message || '');
+        this.recordResult(endpoint, Date.now() - startedAt, this.isDeterministicError(error) || known ? null : error);
+        if (known) return ethers.Transaction.from(req.signedTransaction).hash;
+        throw error;
+      }
+    }));
+
+    const accepted = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    if (accepted.length === 0) {
+      // A deterministic rejection (nonce, funds, underpriced) is the most useful error to surface
+      const deterministic = rejected.find(result => this.isDeterministicError(result.reason));
+      throw (deterministic || rejected[0]).reason;
+    }
+
+    if (rejected.length > 0) {
+      this.logger.warn(`⚠️ Transaction broadcast accepted by ${accepted.length}/${targets.length} Base RPC endpoint(s): ${rejected.map(result => result.reason.shortMessage || result.reason.message).join('; ')}`);
+    }
+
+    return accepted[0].value;
+  }
+
+  destroy() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
@@ -0,0 +1,157 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Write-ahead journal for top-up runs
+ *
+ * Every run moves through quoted → swapping → swapped → burning → burned → credited
+ * (or ends as failed/aborted). A quoted run that needs a human decision waits in
+ * awaiting_approval first. Every change is written to the ledger's runs table before
+ * the next on-chain action, so after a crash or restart the bot knows exactly which step
+ * was in flight and can pick the run back up instead of guessing from wallet balances.
+ */
+
+// Run states, in pipeline order
+export const RUN_STATUS = {
+  QUOTED: 'quoted',
+  AWAITING_APPROVAL: 'awaiting_approval',
+  SWAPPING: 'swapping',
+  SWAPPED: 'swapped',
+  BURNING: 'burning',
+  BURNED: 'burned',
+  CREDITED: 'credited',
+  FAILED: 'failed',
+  ABORTED: 'aborted',
+};
+
+// Per-destination burn states within a run
+export const BURN_STATUS = {
+  PENDING: 'pending',
+  SUBMITTING: 'submitting',
+  SUBMITTED: 'submitted',
+  BURNED: 'burned',
+  CREDITED: 'credited',
+  UNVERIFIED: 'unverified',
+  FAILED: 'failed',
+};
+
+export const TERMINAL_STATUSES = [RUN_STATUS.CREDITED, RUN_STATUS.FAILED, RUN_STATUS.ABORTED];
+
+// Finished runs kept in memory for inspection (the ledger keeps all of them)
+const MAX_FINISHED_RUNS = 100;
+
+export class RunJournal {
+  /**
+   * @param {Ledger} ledger - Where runs are stored (in memory for dry runs)
+   */
+  constructor(ledger) {
+    this.ledger = ledger;
+    this.runs = ledger.loadRuns(MAX_FINISHED_RUNS);
+  }
+
+  /**
+   * Record a new run once its swap (or recovery burn) has been planned
+   * @param {object} plan
+   * @param {string} plan.source - 'swap' for USDC→ARIO runs, 'base-recovery' for ARIO already on Base,
+   *   'manual' for burns started from the CLI
+   * @param {object|null} plan.quote - Quote details ({ usdcNeeded, arioAmount, quotedArio, effectivePrice, priceImpact })
+   * @param {Array<{address: string, label: string, amount: number}>} plan.burns - Planned burn per destination
+   * @returns {object} The journaled run
+   */
+  createRun({ source, quote = null, burns }) {
+    const now = new Date().toISOString();
+    const status = source === 'swap' ? RUN_STATUS.QUOTED : RUN_STATUS.SWAPPED;
+
+    const run = {
+      id: randomUUID(),
+      source,
+      status,
+      createdAt: now,
+      updatedAt: now,
+      quote,
+      swap: null,
+      burns: burns.map(burn => ({ ...burn, status: BURN_STATUS.PENDING, txHash: null })),
+      error: null,
+      history: [{ status, at: now }],
+    };
+
+    this.runs.push(run);
+    this.save(run);
+    return run;
+  }
+
+  /**
+   * Move a run to a new state and persist it
+   * @param {object} run - Run from this journal
+   * @param {string} status - One of RUN_STATUS
+   * @param {object} changes - Fields to merge into the run
+   */
+  transition(run, status, changes = {}) {
+    Object.assign(run, changes, { status, updatedAt: new Date().toISOString() });
+    run.history.push({ status, at: run.updatedAt });
+    this.save(run);
+    return run;
+  }
+
+  /**
+   * Update a run (or one of its burns) without changing its state
+   * @param {object} run - Run from this journal
+   * @param {object} changes - Fields to merge into the run
+   */
+  update(run, changes = {}) {
+    Object.assign(run, changes, { updatedAt: new Date().toISOString() });
+    this.save(run);
+    return run;
+  }
+
+  /**
+   * Update a single burn within a run
+   * @param {object} run - Run from this journal
+   * @param {object} burn - Burn entry from run.burns
+   * @param {object} changes - Fields to merge into the burn
+   */
+  updateBurn(run, burn, changes) {
+    Object.assign(burn, changes);
+    return this.update(run);
+  }
+
+  /**
+   * Look up a run by ID
+   * @param {string} id - Run ID
+   * @returns {object|undefined}
+   */
+  getRun(id) {
+    return this.runs.find(run => run.id === id);
+  }
+
+  /**
+   * Runs that have not reached a terminal state
+   * @returns {Array<object>}
+   */
+  getInFlightRuns() {
+    return this.runs.filter(run => !TERMINAL_STATUSES.includes(run.status));
+  }
+
+  /**
+   * Most recent runs, newest first
+   * @param {number} limit - Max number of runs
+   * @returns {Array<object>}
+   */
+  getRecentRuns(limit = 10) {
+    return this.runs.slice(-limit).reverse();
+  }
+
+  /**
+   * Write a run to the ledger
+   * @param {object} run - Run from this journal
+   */
+  save(run) {
+    this.ledger.saveRun(run);
+
+    // Keep every in-flight run in memory, but only the most recent finished ones
+    const finished = this.runs.filter(candidate => TERMINAL_STATUSES.includes(candidate.status));
+    if (finished.length > MAX_FINISHED_RUNS) {
+      const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_RUNS));
+      this.runs = this.runs.filter(candidate => !drop.has(candidate));
+    }
+  }
+}
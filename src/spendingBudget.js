@@ -0,0 +1,174 @@
+import { join } from 'path';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+/**
+ * Spending budgets for the USDC the bot swaps
+ *
+ * Every confirmed swap is recorded with the USDC it spent. Before a swap is sent, its
+ * amount is checked against the limits per run, per UTC day and per rolling 7 days,
+ * and against the number of swaps allowed per UTC day. Unset limits do not apply.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Start of the UTC day containing a time
+ */
+function startOfUtcDay(time) {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+export class SpendingBudget {
+  /**
+   * @param {object} config - Budget limits (null for no limit)
+   * @param {number|null} config.maxUsdcPerRun - USDC one swap may spend
+   * @param {number|null} config.maxUsdcPerDay - USDC spent per UTC day
+   * @param {number|null} config.maxUsdcPerWeek - USDC spent over the last 7 days
+   * @param {number|null} config.maxSwapsPerDay - Swaps per UTC day
+   * @param {object} logger - Winston logger instance
+   * @param {string} filename - State file, relative to the working directory
+   * @param {object} options
+   * @param {boolean} options.persist - Write to disk (false in dry run mode)
+   */
+  constructor(config, logger, filename = 'spending-budget.json', { persist = true } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.filepath = join(process.cwd(), filename);
+    this.persist = persist;
+    this.swaps = persist ? readJsonFile(this.filepath, { swaps: [] }).swaps : [];
+  }
+
+  /**
+   * Whether any limit is configured
+   */
+  isEnabled() {
+    return Object.values(this.config).some(limit => limit !== null);
+  }
+
+  /**
+   * USDC spent and swaps made in the current windows
+   * @param {number} now - Timestamp (ms)
+   * @returns {{usdcToday: number, usdcThisWeek: number, swapsToday: number}}
+   */
+  getUsage(now = Date.now()) {
+    const dayStart = startOfUtcDay(now);
+    const today = this.swaps.filter(swap => Date.parse(swap.at) >= dayStart);
+    const thisWeek = this.swaps.filter(swap => Date.parse(swap.at) > now - WEEK_MS);
+
+    return {
+      usdcToday: today.reduce((sum, swap) => sum + swap.usdc, 0),
+      usdcThisWeek: thisWeek.reduce((sum, swap) => sum + swap.usdc, 0),
+      swapsToday: today.length,
+    };
+  }
+
+  /**
+   * What is left of each budget (null where there is no limit)
+   * @param {number} now - Timestamp (ms)
+   * @returns {{run: number|null, day: number|null, week: number|null, swaps: number|null}}
+   */
+  getRemaining(now = Date.now()) {
+    const usage = this.getUsage(now);
+    const left = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+    return {
+      run: this.config.maxUsdcPerRun,
+      day: left(this.config.maxUsdcPerDay, usage.usdcToday),
+      week: left(this.config.maxUsdcPerWeek, usage.usdcThisWeek),
+      swaps: left(this.config.maxSwapsPerDay, usage.swapsToday),
+    };
+  }
+
+  /**
+   * The most USDC the next swap may spend
+   * @param {number} now - Timestamp (ms)
+   * @returns {{usdc: number, limitedBy: string|null, blocked: string|null}} usdc is Infinity
+   *   without USDC limits; limitedBy names the tightest budget; blocked explains why no swap is allowed
+   */
+  getAvailable(now = Date.now()) {
+    const remaining = this.getRemaining(now);
+
+    if (remaining.swaps === 0) {
+      return { usdc: 0, limitedBy: 'swaps per day', blocked: `Daily swap limit reached (${this.config.maxSwapsPerDay} swaps per UTC day)` };
+    }
+
+    const limits = [
+      ['per run', remaining.run],
+      ['per day', remaining.day],
+      ['per week', remaining.week],
+    ].filter(([, usdc]) => usdc !== null);
+
+    if (limits.length === 0) {
+      return { usdc: Infinity, limitedBy: null, blocked: null };
+    }
+
+    const [limitedBy, usdc] = limits.reduce((tightest, limit) => (limit[1] < tightest[1] ? limit : tightest));
+    const exhausted = {
+      'per run': `Per-run USDC budget is ${this.config.maxUsdcPerRun} USDC`,
+      'per day': `Daily USDC budget used up (${this.config.maxUsdcPerDay} USDC per UTC day)`,
+      'per week': `Weekly USDC budget used up (${this.config.maxUsdcPerWeek} USDC per 7 days)`,
+    };
+    const blocked = usdc <= 0 ? exhausted[limitedBy] : null;
+
+    return { usdc, limitedBy, blocked };
+  }
+
+  /**
+   * Why a swap is over budget
+   * @param {number} usdcAmount - USDC the swap spends
+   * @param {number} now - Timestamp (ms)
+   * @returns {Array<string>} Exceeded budgets (empty when the swap fits)
+   */
+  check(usdcAmount, now = Date.now()) {
+    const remaining = this.getRemaining(now);
+    const reasons = [];
+
+    if (remaining.swaps === 0) {
+      reasons.push(`Daily swap limit reached (${this.config.maxSwapsPerDay} swaps per UTC day)`);
+    }
+    if (remaining.run !== null && usdcAmount > remaining.run) {
+      reasons.push(`${usdcAmount.toFixed(2)} USDC exceeds the per-run budget of ${remaining.run} USDC`);
+    }
+    if (remaining.day !== null && usdcAmount > remaining.day) {
+      reasons.push(`${usdcAmount.toFixed(2)} USDC exceeds the ${remaining.day.toFixed(2)} USDC left in today's budget`);
+    }
+    if (remaining.week !== null && usdcAmount > remaining.week) {
+      reasons.push(`${usdcAmount.toFixed(2)} USDC exceeds the ${remaining.week.toFixed(2)} USDC left in this week's budget`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Count a confirmed swap against the budgets (once per run)
+   * @param {string} runId - Run that made the swap
+   * @param {number} usdc - USDC spent
+   */
+  recordSwap(runId, usdc) {
+    if (this.swaps.some(swap => swap.runId === runId)) return;
+
+    const now = Date.now();
+    this.swaps.push({ runId, usdc, at: new Date(now).toISOString() });
+    // Nothing older than the weekly window affects a budget
+    this.swaps = this.swaps.filter(swap => Date.parse(swap.at) > now - WEEK_MS);
+
+    if (this.persist) {
+      writeJsonFile(this.filepath, { swaps: this.swaps });
+    }
+  }
+
+  /**
+   * Limits, usage and remaining budget for the status output
+   * @param {number} now - Timestamp (ms)
+   */
+  getStatus(now = Date.now()) {
+    return {
+      limits: { ...this.config },
+      usage: this.getUsage(now),
+      remaining: this.getRemaining(now),
+      dayResetsAt: new Date(startOfUtcDay(now) + DAY_MS).toISOString(),
+    };
+  }
+}
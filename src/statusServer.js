@@ -0,0 +1,203 @@
+import http from 'http';
+import { registry } from './metrics.js';
+
+/**
+ * Embedded HTTP server for monitoring the bot
+ *
+ * Routes:
+ * - GET /healthz  Liveness check (the process is up and serving requests)
+ * - GET /status   JSON snapshot: last run, next scheduled run, balances, in-flight work
+ * - GET /metrics  Prometheus text format
+ *
+ * With an approval policy configured:
+ * - POST /approvals/<runId>/approve|reject  Decide a run awaiting approval (Bearer token)
+ * - POST /slack/interactions                Approve/Reject buttons clicked in Slack (signed by Slack)
+ */
+
+// Largest request body accepted on POST routes
+const MAX_BODY_BYTES = 64 * 1024;
+
+const APPROVAL_ROUTE = /^\/approvals\/([\w-]+)\/(approve|reject)$/;
+
+// Slack button action IDs (see the approval request message)
+const SLACK_ACTIONS = { approve_run: true, reject_run: false };
+
+export class StatusServer {
+  /**
+   * @param {object} config - Status server configuration ({ port, host })
+   * @param {object} logger - Winston logger instance
+   * @param {function(): Promise<object>} getStatus - Builds the /status payload
+   * @param {object|null} approvals - Approval routes, or null when no approval policy is configured
+   * @param {object} approvals.gate - ApprovalGate (authentication)
+   * @param {function(string, boolean, string, string): Promise<{statusCode: number, body: object}>} approvals.decide -
+   *   Records a decision: (runId, approved, approver, via)
+   */
+  constructor(config, logger, getStatus, approvals = null) {
+    this.config = config;
+    this.logger = logger;
+    this.getStatus = getStatus;
+    this.approvals = approvals;
+    this.startedAt = new Date();
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error(`Status server error on ${req.url}:`, error);
+        this.sendJson(res, 500, { error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.off('error', reject);
+        this.logger.info(`Status server listening on http://${this.config.host}:${this.config.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (this.approvals && (APPROVAL_ROUTE.test(pathname) || pathname === '/slack/interactions')) {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return this.sendJson(res, 405, { error: 'Method not allowed' });
+      }
+      return pathname === '/slack/interactions'
+        ? this.handleSlackInteraction(req, res)
+        : this.handleApproval(req, res, pathname);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return this.sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    switch (pathname) {
+      case '/healthz':
+        return this.sendJson(res, 200, {
+          status: 'ok',
+          startedAt: this.startedAt.toISOString(),
+          uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+        });
+
+      case '/status':
+        return this.sendJson(res, 200, await this.getStatus());
+
+      case '/metrics':
+        res.writeHead(200, { 'Content-Type': registry.contentType });
+        return res.end(await registry.metrics());
+
+      default:
+        return this.sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * POST /approvals/<runId>/approve|reject, authenticated by a named Bearer token
+   */
+  async handleApproval(req, res, pathname) {
+    const approver = this.approvals.gate.authenticateToken(req.headers.authorization);
+    if (!approver) {
+      this.logger.warn(`Rejected unauthenticated approval request from ${req.socket.remoteAddress}`);
+      return this.sendJson(res, 401, { error: 'Invalid or missing approval token' });
+    }
+
+    const [, runId, action] = APPROVAL_ROUTE.exec(pathname);
+    const { statusCode, body } = await this.approvals.decide(runId, action === 'approve', approver, 'http');
+    return this.sendJson(res, statusCode, body);
+  }
+
+  /**
+   * POST /slack/interactions: Slack's request when an Approve or Reject button is clicked
+   */
+  async handleSlackInteraction(req, res) {
+    const rawBody = await this.readBody(req);
+    if (!this.approvals.gate.verifySlackSignature(rawBody, req.headers)) {
+      this.logger.warn(`Rejected Slack interaction with an invalid signature from ${req.socket.remoteAddress}`);
+      return this.sendJson(res, 401, { error: 'Invalid signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(new URLSearchParams(rawBody).get('payload'));
+    } catch {
+      return this.sendJson(res, 400, { error: 'Invalid payload' });
+    }
+
+    const action = payload?.actions?.find(candidate => candidate.action_id in SLACK_ACTIONS);
+    // Slack expects a quick 200 for every interaction, even ones we do not handle
+    if (payload?.type !== 'block_actions' || !action) {
+      return this.sendJson(res, 200, {});
+    }
+
+    const user = payload.user || {};
+    if (!this.approvals.gate.isSlackApprover(user.id)) {
+      this.logger.warn(`Slack user ${user.id} (${user.username || user.name}) is not allowed to decide runs`);
+      await this.replyToSlack(payload.response_url, '⛔ You are not allowed to approve or reject top-ups.');
+      return this.sendJson(res, 200, {});
+    }
+
+    const approver = `${user.username || user.name || 'unknown'} (Slack ${user.id})`;
+    const { statusCode, body } = await this.approvals.decide(action.value, SLACK_ACTIONS[action.action_id], approver, 'slack');
+    if (statusCode !== 200) {
+      await this.replyToSlack(payload.response_url, `⚠️ ${body.error}`);
+    }
+    return this.sendJson(res, 200, {});
+  }
+
+  /**
+   * Show a message only to the Slack user who clicked a button
+   */
+  async replyToSlack(responseUrl, text) {
+    if (!responseUrl) return;
+    try {
+      await fetch(responseUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text }),
+        signal: AbortSignal.timeout(10000),
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to reply to Slack interaction: ${error.message}`);
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, statusCode, body) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
@@ -0,0 +1,90 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Target wallet configuration for the balance maintainer bot
+ *
+ * A bot instance can maintain any number of AO wallets. Targets come from a
+ * JSON file (TARGETS_PATH) or, for single-wallet setups, from
+ * TARGET_WALLET_ADDRESS combined with the global balance settings.
+ */
+
+/**
+ * Load the list of target wallets
+ * @param {string|undefined} targetsPath - Path to a JSON file with an array of targets
+ * @param {string|undefined} singleAddress - Fallback single target address (TARGET_WALLET_ADDRESS)
+ * @param {object} defaults - Global defaults for per-target settings
+ * @param {number} defaults.minBalance - Default minimum balance in ARIO
+ * @param {number} defaults.targetBalance - Default target balance in ARIO
+ * @param {number} defaults.minTransferAmount - Default minimum transfer amount in ARIO
+ * @param {number|null} defaults.softCeiling - Default ceiling for early (price-aware) top-ups; null uses each target balance
+ * @returns {Array<{address: string, label: string, minBalance: number, targetBalance: number, softCeiling: number, minTransferAmount: number, priority: number}>}
+ */
+export function loadTargets(targetsPath, singleAddress, defaults) {
+  let entries = [];
+
+  if (targetsPath) {
+    const parsed = JSON.parse(readFileSync(targetsPath, 'utf-8'));
+    entries = Array.isArray(parsed) ? parsed : parsed.targets;
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`${targetsPath} must contain an array of targets (or an object with a "targets" array)`);
+    }
+  } else if (singleAddress) {
+    entries = [{ address: singleAddress }];
+  }
+
+  return entries.map((entry, index) => {
+    const targetBalance = numberOr(entry.targetBalance, defaults.targetBalance);
+
+    return {
+      address: entry.address,
+      label: entry.label || entry.address,
+      minBalance: numberOr(entry.minBalance, defaults.minBalance),
+      targetBalance,
+      softCeiling: numberOr(entry.softCeiling, defaults.softCeiling ?? targetBalance),
+      minTransferAmount: numberOr(entry.minTransferAmount, defaults.minTransferAmount),
+      priority: numberOr(entry.priority, index + 1),
+    };
+  });
+}
+
+/**
+ * Sort targets so the most important wallets are funded first.
+ * Lower priority numbers win; ties keep their configured order.
+ * @param {Array<{priority: number}>} items - Targets (or objects with a priority)
+ * @returns {Array} New sorted array
+ */
+export function sortByPriority(items) {
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (a.item.priority - b.item.priority) || (a.index - b.index))
+    .map(({ item }) => item);
+}
+
+/**
+ * Split an available amount across shortfalls in priority order
+ * @param {number} available - Amount available to distribute
+ * @param {Array<{remainingNeeded: number}>} shortfalls - Shortfalls, already sorted by priority
+ * @returns {Array<{shortfall: object, amount: number}>} Non-zero allocations
+ */
+export function allocateByPriority(available, shortfalls) {
+  const allocations = [];
+  let left = available;
+
+  for (const shortfall of shortfalls) {
+    if (left <= 0) break;
+
+    const amount = Math.min(left, shortfall.remainingNeeded);
+    if (amount > 0) {
+      allocations.push({ shortfall, amount });
+      left -= amount;
+    }
+  }
+
+  return allocations;
+}
+
+function numberOr(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return parseFloat(value);
+}
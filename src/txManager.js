@@ -0,0 +1,525 @@
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+/**
+ * Transaction manager for every Base write (approve, swap, burn)
+ *
+ * - Nonces are allocated locally, so back-to-back transactions never race the RPC's
+ *   view of the pending nonce
+ * - EIP-1559 fees come from the network but never exceed the configured caps
+ * - A transaction pending for longer than stuckAfterSeconds is replaced with the same
+ *   nonce and higher fees (speed-up); after maxReplacements it is cancelled with a
+ *   zero-value transfer to ourselves
+ * - Signed transactions are persisted before broadcast, so after a restart pending
+ *   transactions are re-checked, re-broadcast if the node dropped them, and sped up
+ */
+
+// Finished transactions kept for inspection
+const MAX_FINISHED_TRANSACTIONS = 50;
+
+// How often pending transactions are polled
+const POLL_INTERVAL_MS = 4000;
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  MINED: 'mined',
+  CANCELLED: 'cancelled',
+  DROPPED: 'dropped',
+};
+
+// Broadcast errors that mean the node refused the transaction as signed. Anything else (a
+// timeout, a 5xx) may have come after a node accepted it.
+const REJECTION_CODES = new Set(['NONCE_EXPIRED', 'INSUFFICIENT_FUNDS', 'REPLACEMENT_UNDERPRICED']);
+const REJECTION_MESSAGES = /nonce too low|insufficient funds|underpriced|less than block base fee/i;
+
+const isRejection = (error) => REJECTION_CODES.has(error?.code) || REJECTION_MESSAGES.test(error?.message || '');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Look up the outcome of a transaction on the network, without following replacements
+ * @param {object} provider - ethers provider
+ * @param {object} logger - Winston logger instance
+ * @param {string} txHash - Transaction hash
+ * @param {number} timeoutMs - How long to wait for a pending transaction to confirm
+ * @returns {Promise<{status: 'success'|'failed'|'pending'|'not_found', receipt: object|null, txHash: string}>}
+ */
+export async function lookupTransactionStatus(provider, logger, txHash, timeoutMs = 5 * 60 * 1000) {
+  const tx = await provider.getTransaction(txHash);
+  if (!tx) {
+    return { status: 'not_found', receipt: null, txHash };
+  }
+
+  let receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    logger.info(`Waiting for pending transaction ${txHash} to confirm...`);
+    try {
+      receipt = await provider.waitForTransaction(txHash, 1, timeoutMs);
+    } catch (waitError) {
+      logger.warn(`Transaction ${txHash} still pending after ${Math.round(timeoutMs / 1000)}s`);
+      return { status: 'pending', receipt: null, txHash };
+    }
+  }
+
+  if (!receipt) {
+    return { status: 'pending', receipt: null, txHash };
+  }
+
+  return { status: receipt.status === 1 ? 'success' : 'failed', receipt, txHash };
+}
+
+export class TransactionManager {
+  /**
+   * @param {object} provider - ethers provider
+   * @param {object} wallet - ethers wallet that signs every transaction
+   * @param {object} logger - Winston logger instance
+   * @param {object} config - Fee caps and replacement settings
+   * @param {number} config.maxFeePerGasGwei - Cap on maxFeePerGas
+   * @param {number} config.maxPriorityFeePerGasGwei - Cap on maxPriorityFeePerGas
+   * @param {number} config.stuckAfterSeconds - Replace a transaction pending this long
+   * @param {number} config.feeBumpPercent - Fee increase per replacement (nodes require at least 10)
+   * @param {number} config.maxReplacements - Speed-ups before the transaction is cancelled
+   * @param {number} config.confirmTimeoutMinutes - How long send() waits for a transaction to be mined
+   * @param {object} options
+   * @param {string} options.filename - Pending transaction file, relative to the working directory
+   * @param {boolean} options.persist - Write to disk (false in dry run mode)
+   */
+  constructor(provider, wallet, logger, config = {}, { filename = 'pending-transactions.json', persist = true } = {}) {
+    this.provider = provider;
+    this.wallet = wallet;
+    this.logger = logger;
+
+    this.maxFeePerGas = ethers.parseUnits(String(config.maxFeePerGasGwei ?? 1), 'gwei');
+    this.maxPriorityFeePerGas = ethers.parseUnits(String(config.maxPriorityFeePerGasGwei ?? 0.1), 'gwei');
+    this.stuckAfterMs = (config.stuckAfterSeconds ?? 120) * 1000;
+    this.feeBumpPercent = BigInt(Math.ceil(config.feeBumpPercent ?? 20));
+    this.maxReplacements = config.maxReplacements ?? 3;
+    this.confirmTimeoutMs = (config.confirmTimeoutMinutes ?? 30) * 60 * 1000;
+
+    this.filepath = join(process.cwd(), filename);
+    this.persist = persist;
+    this.transactions = persist ? readJsonFile(this.filepath, { transactions: [] }).transactions : [];
+
+    this.nextNonce = null;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Sign, persist and broadcast a transaction, then wait for it to be mined,
+   * replacing it if it gets stuck
+   *
+   * Gives up waiting after confirmTimeoutMinutes (e.g. when the fee cap is below the market):
+   * the transaction stays tracked as pending and can still be resolved by its hash.
+   * @param {string} label - What the transaction does (e.g. 'swap', 'burn', 'approve')
+   * @param {object} request - Transaction request ({ to, data, value, gasLimit })
+   * @param {object} hooks - Optional callbacks
+   * @param {function} hooks.onSubmitted - Called with the tx hash before broadcast, and again for every speed-up
+   * @returns {Promise<object>} Receipt of the transaction that was mined
+   */
+  async send(label, request, hooks = {}) {
+    const entry = await this.withLock(() => this.broadcastNew(label, request, hooks));
+
+    const receipt = await this.waitFor(entry, this.confirmTimeoutMs, hooks);
+
+    if (entry.status === TX_STATUS.PENDING) {
+      const lastAttempt = entry.attempts[entry.attempts.length - 1];
+      throw new Error(
+        `${label} transaction (nonce ${entry.nonce}) not mined after ${Math.round(this.confirmTimeoutMs / 60000)} min ` +
+        `(latest attempt ${lastAttempt.hash}, max fee ${ethers.formatUnits(lastAttempt.maxFeePerGas, 'gwei')} gwei) - ` +
+        'it is still tracked and will be checked again'
+      );
+    }
+    if (entry.status === TX_STATUS.CANCELLED) {
+      throw new Error(`${label} transaction (nonce ${entry.nonce}) was cancelled after ${this.maxReplacements} replacement(s)`);
+    }
+    if (entry.status === TX_STATUS.DROPPED) {
+      throw new Error(`${label} transaction (nonce ${entry.nonce}) was dropped: its nonce was used by another transaction`);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Look up the outcome of a transaction, following any replacements the manager sent
+   * @param {string} txHash - Hash of the transaction or one of its replacements
+   * @param {number} timeoutMs - How long to wait for a pending transaction to confirm
+   * @returns {Promise<{status: 'success'|'failed'|'pending'|'not_found', receipt: object|null, txHash: string}>}
+   */
+  async getTransactionStatus(txHash, timeoutMs = 5 * 60 * 1000) {
+    const entry = this.findByHash(txHash);
+
+    if (entry) {
+      const receipt = await this.waitFor(entry, timeoutMs);
+
+      if (entry.status === TX_STATUS.PENDING) {
+        return { status: 'pending', receipt: null, txHash: entry.minedHash || txHash };
+      }
+      if (entry.status === TX_STATUS.DROPPED) {
+        return { status: 'not_found', receipt: null, txHash };
+      }
+      if (entry.status === TX_STATUS.CANCELLED) {
+        // The original intent never executed; the cancel is what was mined
+        return { status: 'failed', receipt: null, txHash };
+      }
+      return { status: receipt.status === 1 ? 'success' : 'failed', receipt, txHash: entry.minedHash };
+    }
+
+    // Not sent through the manager (e.g. before it existed): look it up directly
+    return lookupTransactionStatus(this.provider, this.logger, txHash, timeoutMs);
+  }
+
+  /**
+   * Re-check transactions left pending by a previous process: record the ones that
+   * were mined, re-broadcast the ones the node dropped and speed up stuck ones
+   */
+  async resumePending() {
+    const pending = this.getPending();
+    if (pending.length === 0) return;
+
+    this.logger.info(`🔁 Checking ${pending.length} pending Base transaction(s) from the previous run...`);
+
+    for (const entry of pending) {
+      try {
+        await this.waitFor(entry, 0);
+        this.logger.info(`├─ ${entry.label} (nonce ${entry.nonce}): ${entry.status}${entry.minedHash ? ` ${entry.minedHash}` : ''}`);
+      } catch (error) {
+        this.logger.error(`Failed to check pending ${entry.label} transaction (nonce ${entry.nonce}):`, error);
+      }
+    }
+  }
+
+  /**
+   * Transactions not yet mined, cancelled or dropped
+   * @returns {Array<object>}
+   */
+  getPending() {
+    return this.transactions.filter(entry => entry.status === TX_STATUS.PENDING);
+  }
+
+  findByHash(txHash) {
+    const hash = txHash.toLowerCase();
+    return this.transactions.find(entry => entry.attempts.some(attempt => attempt.hash.toLowerCase() === hash));
+  }
+
+  /**
+   * Run a function while holding the nonce lock
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async allocateNonce() {
+    const networkNonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+    const localNonce = Math.max(
+      this.nextNonce ?? 0,
+      ...this.getPending().map(entry => entry.nonce + 1)
+    );
+
+    const nonce = Math.max(networkNonce, localNonce);
+    this.nextNonce = nonce + 1;
+    return nonce;
+  }
+
+  /**
+   * Current network fees, capped by the configured maximums
+   */
+  async getCappedFees() {
+    const feeData = await this.provider.getFeeData();
+    const networkMaxFee = feeData.maxFeePerGas ?? feeData.gasPrice ?? this.maxFeePerGas;
+    const networkPriorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+
+    const maxFeePerGas = networkMaxFee < this.maxFeePerGas ? networkMaxFee : this.maxFeePerGas;
+    let maxPriorityFeePerGas = networkPriorityFee < this.maxPriorityFeePerGas ? networkPriorityFee : this.maxPriorityFeePerGas;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    if (networkMaxFee > this.maxFeePerGas) {
+      this.logger.warn(`⚠️ Network max fee ${ethers.formatUnits(networkMaxFee, 'gwei')} gwei is above the cap of ${ethers.formatUnits(this.maxFeePerGas, 'gwei')} gwei - the transaction may be slow to confirm`);
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  async broadcastNew(label, request, hooks) {
+    let gasLimit = request.gasLimit;
+    if (!gasLimit) {
+      const estimate = await this.provider.estimateGas({ ...request, from: this.wallet.address });
+      gasLimit = estimate * 12n / 10n; // Add 20% buffer
+    }
+
+    const nonce = await this.allocateNonce();
+    const fees = await this.getCappedFees();
+    const { chainId } = await this.provider.getNetwork();
+
+    const entry = {
+      label,
+      nonce,
+      status: TX_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      request: {
+        to: request.to,
+        data: request.data || '0x',
+        value: (request.value ?? 0n).toString(),
+        gasLimit: gasLimit.toString(),
+        chainId: chainId.toString(),
+      },
+      attempts: [],
+      minedHash: null,
+      finishedAt: null,
+    };
+
+    let broadcasting = false;
+    try {
+      await this.broadcastAttempt(entry, entry.request, fees, 'original', {
+        ...hooks,
+        onSubmitted: async (hash) => {
+          await hooks.onSubmitted?.(hash);
+          broadcasting = true;
+        },
+      });
+    } catch (error) {
+      if (broadcasting && !isRejection(error)) {
+        // A node may have accepted it before the error: keep it pending, so waitFor() finds
+        // it mined or re-broadcasts it
+        this.logger.warn(`⚠️ ${label} transaction ${entry.attempts[0].hash} (nonce ${nonce}) broadcast failed: ${error.shortMessage || error.message} - tracking it as pending`);
+        return entry;
+      }
+
+      // Never broadcast, or refused outright - forget it and re-sync the nonce from the network next time
+      this.nextNonce = null;
+      this.transactions = this.transactions.filter(candidate => candidate !== entry);
+      this.save();
+      throw error;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Sign a transaction for the entry's nonce, persist it, then broadcast it
+   */
+  async broadcastAttempt(entry, request, fees, kind, hooks = {}) {
+    const raw = await this.wallet.signTransaction({
+      type: 2,
+      chainId: BigInt(request.chainId),
+      nonce: entry.nonce,
+      to: request.to,
+      data: request.data,
+      value: BigInt(request.value),
+      gasLimit: BigInt(request.gasLimit),
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    });
+    const hash = ethers.keccak256(raw);
+
+    const attempt = {
+      kind,
+      hash,
+      raw,
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+      sentAt: new Date().toISOString(),
+    };
+
+    // Persist before broadcast so a crash in between can still find and resend it
+    if (!this.transactions.includes(entry)) this.transactions.push(entry);
+    entry.attempts.push(attempt);
+    this.save();
+
+    if (kind !== 'cancel' && hooks.onSubmitted) {
+      await hooks.onSubmitted(hash);
+    }
+
+    await this.provider.broadcastTransaction(raw);
+    this.logger.info(`📤 ${entry.label} transaction ${kind === 'original' ? 'submitted' : `${kind} sent`}: ${hash} (nonce ${entry.nonce}, max fee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei)`);
+
+    return attempt;
+  }
+
+  /**
+   * Poll an entry until one of its attempts is mined, replacing it when it is stuck
+   * @param {object} entry - Tracked transaction
+   * @param {number|null} timeoutMs - Stop waiting after this long (null waits until mined; 0 checks once)
+   * @param {object} hooks - Passed to replacement broadcasts
+   * @returns {Promise<object|null>} Receipt of the mined attempt, or null if still pending
+   */
+  async waitFor(entry, timeoutMs = null, hooks = {}) {
+    const deadline = timeoutMs === null ? null : Date.now() + timeoutMs;
+
+    while (entry.status === TX_STATUS.PENDING) {
+      const receipt = await this.findReceipt(entry);
+      if (receipt) {
+        this.finish(entry, receipt);
+        break;
+      }
+
+      // The nonce was used but none of our attempts were mined
+      const latestNonce = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+      if (latestNonce > entry.nonce) {
+        const lateReceipt = await this.findReceipt(entry);
+        if (lateReceipt) {
+          this.finish(entry, lateReceipt);
+        } else {
+          this.logger.warn(`⚠️ ${entry.label} transaction (nonce ${entry.nonce}) was replaced outside the bot`);
+          this.finish(entry, null, TX_STATUS.DROPPED);
+        }
+        break;
+      }
+
+      await this.rebroadcastIfDropped(entry);
+
+      const lastAttempt = entry.attempts[entry.attempts.length - 1];
+      if (Date.now() - Date.parse(lastAttempt.sentAt) >= this.stuckAfterMs) {
+        await this.replace(entry, hooks);
+      }
+
+      if (deadline !== null && Date.now() >= deadline) break;
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+    if (entry.status === TX_STATUS.PENDING) return null;
+    return entry.receipt ?? (entry.minedHash ? await this.provider.getTransactionReceipt(entry.minedHash) : null);
+  }
+
+  async findReceipt(entry) {
+    for (const attempt of entry.attempts) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Broadcast the latest attempt again if no node we talk to knows about any attempt
+   */
+  async rebroadcastIfDropped(entry) {
+    for (const attempt of entry.attempts) {
+      if (await this.provider.getTransaction(attempt.hash)) return;
+    }
+
+    const lastAttempt = entry.attempts[entry.attempts.length - 1];
+    this.logger.warn(`⚠️ ${entry.label} transaction ${lastAttempt.hash} is unknown to the node - re-broadcasting`);
+    try {
+      await this.provider.broadcastTransaction(lastAttempt.raw);
+    } catch (error) {
+      this.logger.warn(`Re-broadcast of ${lastAttempt.hash} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a stuck transaction: speed it up with higher fees, or cancel it once the
+   * replacement limit is reached. Neither fee ever goes above its cap; a transaction
+   * whose fees cannot be raised any further is left to confirm as it is.
+   */
+  async replace(entry, hooks) {
+    const lastAttempt = entry.attempts[entry.attempts.length - 1];
+    const speedUps = entry.attempts.filter(attempt => attempt.kind === 'speed-up').length;
+    const cancelling = entry.attempts.some(attempt => attempt.kind === 'cancel');
+
+    const bump = (value) => BigInt(value) * (100n + this.feeBumpPercent) / 100n;
+    const network = await this.getCappedFees();
+    const maxFeePerGas = [bump(lastAttempt.maxFeePerGas), network.maxFeePerGas].reduce((a, b) => (a > b ? a : b));
+    const maxPriorityFeePerGas = [bump(lastAttempt.maxPriorityFeePerGas), network.maxPriorityFeePerGas].reduce((a, b) => (a > b ? a : b));
+
+    // Nodes only accept a replacement that raises both fees
+    if (maxFeePerGas > this.maxFeePerGas || maxPriorityFeePerGas > this.maxPriorityFeePerGas) {
+      this.logger.warn(`⚠️ ${entry.label} transaction (nonce ${entry.nonce}) is stuck but already at the fee cap - still waiting`);
+      lastAttempt.sentAt = new Date().toISOString();
+      this.save();
+      return;
+    }
+
+    const fees = {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+    };
+
+    if (cancelling || speedUps < this.maxReplacements) {
+      // Speed up (or re-price a pending cancel) with the same payload
+      const request = cancelling ? this.cancelRequest(entry) : entry.request;
+      const kind = cancelling ? 'cancel' : 'speed-up';
+      this.logger.warn(`⏫ ${entry.label} transaction (nonce ${entry.nonce}) pending for ${Math.round((Date.now() - Date.parse(lastAttempt.sentAt)) / 1000)}s - sending ${kind}`);
+      await this.broadcastReplacement(entry, request, fees, kind, hooks);
+      return;
+    }
+
+    this.logger.warn(`🛑 ${entry.label} transaction (nonce ${entry.nonce}) still stuck after ${speedUps} speed-up(s) - cancelling`);
+    await this.broadcastReplacement(entry, this.cancelRequest(entry), fees, 'cancel', hooks);
+  }
+
+  /**
+   * Broadcast a replacement without giving up on the attempts already sent. A replacement
+   * the node refuses is forgotten again (and the hook pointed back at the latest attempt
+   * still in play); one that may have reached a node is kept and waited on with the rest.
+   */
+  async broadcastReplacement(entry, request, fees, kind, hooks) {
+    const previous = entry.attempts[entry.attempts.length - 1];
+
+    try {
+      await this.broadcastAttempt(entry, request, fees, kind, hooks);
+    } catch (error) {
+      const attempt = entry.attempts[entry.attempts.length - 1];
+
+      if (attempt !== previous && !isRejection(error)) {
+        this.logger.warn(`⚠️ ${entry.label} ${kind} ${attempt.hash} (nonce ${entry.nonce}) broadcast failed: ${error.shortMessage || error.message} - waiting on every attempt`);
+        return;
+      }
+
+      this.logger.warn(`⚠️ ${entry.label} ${kind} (nonce ${entry.nonce}) was not sent: ${error.shortMessage || error.message} - still waiting on the earlier attempt(s)`);
+      if (attempt !== previous) {
+        entry.attempts = entry.attempts.filter(candidate => candidate !== attempt);
+        if (kind !== 'cancel' && hooks.onSubmitted) {
+          await hooks.onSubmitted(entry.attempts.filter(candidate => candidate.kind !== 'cancel').at(-1).hash);
+        }
+      }
+      // Wait another stuckAfterSeconds before trying again
+      previous.sentAt = new Date().toISOString();
+      this.save();
+    }
+  }
+
+  cancelRequest(entry) {
+    return {
+      to: this.wallet.address,
+      data: '0x',
+      value: '0',
+      gasLimit: '21000',
+      chainId: entry.request.chainId,
+    };
+  }
+
+  finish(entry, receipt, status = null) {
+    const attempt = receipt
+      ? entry.attempts.find(candidate => candidate.hash.toLowerCase() === receipt.hash.toLowerCase())
+      : null;
+
+    entry.status = status || (attempt?.kind === 'cancel' ? TX_STATUS.CANCELLED : TX_STATUS.MINED);
+    entry.minedHash = receipt?.hash || null;
+    entry.finishedAt = new Date().toISOString();
+    // Kept in memory only, for the caller waiting on this entry
+    Object.defineProperty(entry, 'receipt', { value: receipt, enumerable: false, configurable: true });
+
+    if (entry.status === TX_STATUS.MINED && attempt?.kind === 'speed-up') {
+      this.logger.info(`✅ ${entry.label} speed-up ${receipt.hash} mined (nonce ${entry.nonce})`);
+    } else if (entry.status === TX_STATUS.CANCELLED) {
+      this.logger.warn(`🛑 ${entry.label} transaction (nonce ${entry.nonce}) cancelled by ${receipt.hash}`);
+    }
+
+    this.save();
+  }
+
+  save() {
+    if (!this.persist) return;
+
+    // Keep every pending transaction, but only the most recent finished ones
+    const finished = this.transactions.filter(entry => entry.status !== TX_STATUS.PENDING);
+    if (finished.length > MAX_FINISHED_TRANSACTIONS) {
+      const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_TRANSACTIONS));
+      this.transactions = this.transactions.filter(entry => !drop.has(entry));
+    }
+
+    writeJsonFile(this.filepath, { transactions: this.transactions });
+  }
+}
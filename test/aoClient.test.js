@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AoClient, MessageOutcomeUnknownError, isUnreachable } from '../src/aoClient.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// What fetch() throws when the connection itself fails
+function fetchFailed(code) {
+  return new TypeError('fetch failed', { cause: Object.assign(new Error(`connect ${code} 127.0.0.1:443`), { code }) });
+}
+
+/**
+ * Client whose MUs are stand-ins: each one throws the matching error, or accepts the
+ * message when its entry is null
+ */
+function client(outcomes) {
+  const aoClient = new AoClient({
+    cuUrls: ['https://cu.example'],
+    muUrls: outcomes.map((_, index) => `https://mu${index}.example`),
+    gatewayUrl: 'https://gateway.example',
+    timeoutMs: 1000,
+  }, logger);
+
+  aoClient.sent = [];
+  aoClient.mus = outcomes.map((outcome, index) => ({
+    url: `https://mu${index}.example`,
+    ao: {
+      message: async () => {
+        aoClient.sent.push(index);
+        if (outcome) throw outcome;
+        return `message-${index}`;
+      },
+    },
+  }));
+  return aoClient;
+}
+
+test('only errors raised before a connection existed count as unreachable', () => {
+  assert.equal(isUnreachable(fetchFailed('ECONNREFUSED')), true);
+  assert.equal(isUnreachable(fetchFailed('ENOTFOUND')), true);
+  assert.equal(isUnreachable(Object.assign(new Error('getaddrinfo EAI_AGAIN mu.example'), { code: 'EAI_AGAIN' })), true);
+
+  assert.equal(isUnreachable(fetchFailed('ECONNRESET')), false);
+  assert.equal(isUnreachable(fetchFailed('ETIMEDOUT')), false);
+  assert.equal(isUnreachable(new Error('message on https://mu0.example timed out after 30s')), false);
+  assert.equal(isUnreachable(new TypeError('fetch failed')), false);
+  assert.equal(isUnreachable(new Error('500 Internal Server Error')), false);
+});
+
+test('a message moves to the next MU when the first cannot be reached', async () => {
+  const aoClient = client([fetchFailed('ECONNREFUSED'), null]);
+
+  assert.equal(await aoClient.message({ process: 'token' }), 'message-1');
+  assert.deepEqual(aoClient.sent, [0, 1]);
+});
+
+test('a message that may have been delivered is not sent again', async () => {
+  for (const error of [fetchFailed('ECONNRESET'), new Error('message on https://mu0.example timed out after 30s')]) {
+    const aoClient = client([error, null]);
+
+    await assert.rejects(aoClient.message({ process: 'token' }), (thrown) => {
+      assert.ok(thrown instanceof MessageOutcomeUnknownError);
+      assert.match(thrown.message, /may still have been delivered/);
+      assert.equal(thrown.cause, error);
+      return true;
+    });
+    assert.deepEqual(aoClient.sent, [0]);
+  }
+});
+
+test('the last connection error is thrown when no MU can be reached', async () => {
+  const last = fetchFailed('ENOTFOUND');
+  const aoClient = client([fetchFailed('ECONNREFUSED'), last]);
+
+  await assert.rejects(aoClient.message({ process: 'token' }), (thrown) => thrown === last);
+  assert.deepEqual(aoClient.sent, [0, 1]);
+});
@@ -0,0 +1,58 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ApprovalGate } from '../src/approvals.js';
+import { validateConfig } from '../src/validator.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+let bot;
+
+function gate(slackApproverIds) {
+  return new ApprovalGate({
+    usdcAbove: 500,
+    priceImpactAbove: null,
+    onConfigChange: false,
+    timeoutMinutes: 60,
+    tokens: [],
+    slackSigningSecret: 'signing-secret',
+    slackApproverIds,
+  }, logger, 'approval-state.json', { persist: false });
+}
+
+/**
+ * Errors validateConfig() reports for the bot's configuration with `approval` overridden
+ */
+function approvalErrors(approval) {
+  const errors = [];
+  validateConfig(
+    { ...bot.config, approval: { ...bot.config.approval, ...approval } },
+    { info() {}, error: (message) => errors.push(message.trim()) }
+  );
+  return errors;
+}
+
+before(async () => {
+  // index.js writes its log file to the working directory
+  process.chdir(mkdtempSync(join(tmpdir(), 'topup-approvals-')));
+  bot = await import('../index.js');
+  bot.logger.silent = true;
+});
+
+test('only the listed Slack users may decide', () => {
+  assert.equal(gate(['U012ABCDEF']).isSlackApprover('U012ABCDEF'), true);
+  assert.equal(gate(['U012ABCDEF']).isSlackApprover('U034GHIJKL'), false);
+});
+
+test('nobody may decide through Slack when no approvers are configured', () => {
+  assert.equal(gate([]).isSlackApprover('U012ABCDEF'), false);
+});
+
+test('a Slack signing secret without approvers fails validation', () => {
+  const message = '- SLACK_APPROVER_IDS is required when SLACK_SIGNING_SECRET is set';
+
+  assert.ok(approvalErrors({ slackSigningSecret: 'signing-secret', slackApproverIds: [] }).includes(message));
+  assert.ok(!approvalErrors({ slackSigningSecret: 'signing-secret', slackApproverIds: ['U012ABCDEF'] }).includes(message));
+});
@@ -0,0 +1,138 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchBridgeCredit, getCreditReference, verifyBridgeCredit } from '../src/bridgeVerifier.js';
+import { GraphQLClient } from '../src/graphqlClient.js';
+
+const BURN_TX = `0x${'a'.repeat(64)}`;
+const OTHER_TX = `0x${'b'.repeat(64)}`;
+const BURNED_AT = 1_700_000_000;
+const TARGET_WALLET = 'target-wallet';
+
+function credit(txId, quantityRaw, { reference = null, blockTimestamp = BURNED_AT + 60 } = {}) {
+  return {
+    txId,
+    quantityRaw,
+    quantity: quantityRaw ? parseInt(quantityRaw) : 0,
+    quantityArio: quantityRaw ? parseInt(quantityRaw) / 1e6 : 0,
+    reference,
+    blockTimestamp,
+  };
+}
+
+const burn = { txHash: BURN_TX, amount: 1000, amountRaw: '1000000000', burnedAt: BURNED_AT };
+
+test('a Credit-Notice referencing the burn wins over an amount match', () => {
+  const credits = [
+    credit('by-amount', '1000000000', { blockTimestamp: BURNED_AT + 10 }),
+    credit('by-reference', '999000000', { reference: BURN_TX }),
+  ];
+
+  assert.deepEqual(matchBridgeCredit(burn, credits), { credit: credits[1], matchedBy: 'reference' });
+});
+
+test('notices referencing another burn, already claimed or older than the burn never match', () => {
+  const credits = [
+    credit('other', '1000000000', { reference: OTHER_TX }),
+    credit('claimed', '1000000000'),
+    credit('stale', '1000000000', { blockTimestamp: BURNED_AT - 3600 }),
+  ];
+
+  assert.equal(matchBridgeCredit(burn, credits, { excludeIds: new Set(['claimed']) }), null);
+});
+
+test('notices with a missing or malformed Quantity are skipped instead of throwing', () => {
+  const credits = [
+    credit('missing', null, { blockTimestamp: BURNED_AT + 10 }),
+    credit('decimal', '1000.5', { blockTimestamp: BURNED_AT + 20 }),
+    credit('good', '1000000000'),
+  ];
+
+  assert.equal(matchBridgeCredit(burn, credits)?.credit.txId, 'good');
+});
+
+test('unmined notices sort after mined ones', () => {
+  const credits = [
+    credit('unmined', '1000000000', { blockTimestamp: null }),
+    credit('mined', '1000000000'),
+  ];
+
+  assert.equal(matchBridgeCredit(burn, credits)?.credit.txId, 'mined');
+});
+
+test('only the configured reference tag is read', () => {
+  const tags = [{ name: 'Message-Hash', value: OTHER_TX }, { name: 'Burn-Tx', value: BURN_TX.slice(2).toUpperCase() }];
+
+  assert.equal(getCreditReference(tags, 'Burn-Tx'), BURN_TX);
+  assert.equal(getCreditReference(tags, null), null);
+});
+
+/**
+ * Stand-in for fetch(): answers each gateway from its list of responses in turn.
+ * A response is an HTTP status, or a page of Credit-Notices ({ nodes, hasNextPage }).
+ */
+function fakeGateways(responses) {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(new URL(url).host);
+    const next = responses[new URL(url).host].shift();
+    if (typeof next === 'number') {
+      return { ok: false, status: next };
+    }
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        data: {
+          transactions: {
+            pageInfo: { hasNextPage: next.hasNextPage },
+            edges: next.nodes.map((node, index) => ({ cursor: `${node.id}-${index}`, node })),
+          },
+        },
+      }),
+    };
+  };
+  return calls;
+}
+
+function notice(id, quantity, timestamp = Math.floor(Date.now() / 1000)) {
+  return { id, tags: [{ name: 'Quantity', value: quantity }], block: { timestamp, height: 1 } };
+}
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a failing gateway is skipped and later pages come from the one that answered', async () => {
+  const calls = fakeGateways({
+    'first.example': [500],
+    'second.example': [
+      { nodes: [notice('newer', '5000000')], hasNextPage: true },
+      { nodes: [notice('ours', '1000000000')], hasNextPage: false },
+    ],
+  });
+  const client = new GraphQLClient({ gatewayUrls: ['https://first.example/graphql', 'https://second.example/graphql'], maxRetries: 0 });
+
+  const result = await verifyBridgeCredit(TARGET_WALLET, 1000, { burnAmountRaw: '1000000000', client });
+
+  assert.equal(result.found, true);
+  assert.equal(result.complete, true);
+  assert.equal(result.transaction.id, 'ours');
+  assert.deepEqual(calls, ['first.example', 'second.example', 'second.example']);
+});
+
+test('a search cut short by the page limit is reported as incomplete', async () => {
+  fakeGateways({
+    'gateway.example': [
+      { nodes: [notice('a', '5000000')], hasNextPage: true },
+      { nodes: [notice('b', '5000000')], hasNextPage: true },
+    ],
+  });
+  const client = new GraphQLClient({ gatewayUrls: ['https://gateway.example/graphql'], maxPages: 2 });
+
+  const result = await verifyBridgeCredit(TARGET_WALLET, 1000, { burnAmountRaw: '1000000000', client });
+
+  // Not found, but that does not mean the bridge never credited it
+  assert.equal(result.found, false);
+  assert.equal(result.complete, false);
+});
@@ -0,0 +1,67 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Ledger, QUOTE_SOURCE } from '../src/ledger.js';
+import { RunJournal, RUN_STATUS } from '../src/runJournal.js';
+import { BalanceHistory } from '../src/balanceHistory.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+const FORECAST = { halfLifeHours: 24, minReadings: 2, retentionDays: 30 };
+const HOUR_MS = 60 * 60 * 1000;
+
+before(() => {
+  // Ledger files are relative to the working directory
+  process.chdir(mkdtempSync(join(tmpdir(), 'topup-ledger-')));
+});
+
+test('runs are read back from the ledger after a restart', () => {
+  const ledger = new Ledger('restart.db');
+  const journal = new RunJournal(ledger);
+  const finished = journal.createRun({ source: 'manual', burns: [{ address: 'wallet-a', label: 'A', amount: 100 }] });
+  journal.transition(finished, RUN_STATUS.FAILED, { error: 'burn reverted' });
+  const unfinished = journal.createRun({ source: 'manual', burns: [{ address: 'wallet-b', label: 'B', amount: 50 }] });
+  ledger.close();
+
+  const restarted = new RunJournal(new Ledger('restart.db'));
+
+  assert.deepEqual(restarted.runs.map(run => run.id), [finished.id, unfinished.id]);
+  assert.equal(restarted.getRun(finished.id).error, 'burn reverted');
+  assert.deepEqual(restarted.getInFlightRuns().map(run => run.id), [unfinished.id]);
+});
+
+test('balance readings closer together than ten minutes are thinned out', () => {
+  const history = new BalanceHistory(FORECAST, logger, new Ledger('balances.db', { persist: false }));
+  const start = Date.now() - HOUR_MS;
+
+  history.record('wallet-a', 1000, start);
+  history.record('wallet-a', 990, start + 5 * 60 * 1000);
+  history.record('wallet-a', 980, start + 8 * 60 * 1000);
+  history.record('wallet-a', 900, start + 30 * 60 * 1000);
+
+  assert.deepEqual(history.getReadings('wallet-a').map(reading => reading.balance), [1000, 980, 900]);
+});
+
+test('state files of older versions are imported once and renamed', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'topup-legacy-'));
+  const at = new Date(Date.now() - HOUR_MS).toISOString();
+  const run = { id: 'run-1', source: 'swap', status: RUN_STATUS.SWAPPED, createdAt: at, updatedAt: at, burns: [], history: [] };
+  writeFileSync(join(dir, 'topup-journal.json'), JSON.stringify({ runs: [run] }));
+  writeFileSync(join(dir, 'balance-history.json'), JSON.stringify({ readings: { 'wallet-a': [{ at, balance: 500 }] } }));
+  writeFileSync(join(dir, 'price-tracker.json'), JSON.stringify({ samples: [{ at, price: 0.01 }] }));
+  const ledger = new Ledger('legacy.db', { persist: false });
+
+  assert.deepEqual(ledger.importLegacyJsonFiles(dir), [
+    { file: 'topup-journal.json', imported: 1 },
+    { file: 'balance-history.json', imported: 1 },
+    { file: 'price-tracker.json', imported: 1 },
+  ]);
+  assert.ok(existsSync(join(dir, 'topup-journal.json.imported')));
+  assert.ok(!existsSync(join(dir, 'topup-journal.json')));
+  assert.deepEqual(new RunJournal(ledger).getInFlightRuns().map(run => run.id), ['run-1']);
+  assert.deepEqual(ledger.getBalanceSnapshots('wallet-a', new Date(0).toISOString()), [{ at, balance: 500 }]);
+  assert.deepEqual(ledger.getQuotes(QUOTE_SOURCE.PRICE_SAMPLE), [{ at, price: 0.01 }]);
+
+  assert.deepEqual(ledger.importLegacyJsonFiles(dir), []);
+});
@@ -0,0 +1,97 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceSanityCheck } from '../src/priceCheck.js';
+import { Ledger } from '../src/ledger.js';
+import { validateConfig } from '../src/validator.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+const TOKENS = { arioAddress: '0x0000000000000000000000000000000000000001', arioDecimals: 6, usdcDecimals: 6 };
+const POOL = '0x0000000000000000000000000000000000000002';
+
+let bot;
+
+function priceCheck(config = {}, provider = null) {
+  return new PriceSanityCheck({
+    enabled: true,
+    maxDeviationPercent: 10,
+    referencePrice: 0.01,
+    poolAddress: null,
+    medianWindowHours: 168,
+    medianMinSamples: 3,
+    ...config,
+  }, TOKENS, provider, logger, new Ledger('ledger.db', { persist: false }));
+}
+
+before(async () => {
+  // index.js writes its log file to the working directory
+  process.chdir(mkdtempSync(join(tmpdir(), 'topup-price-')));
+  bot = await import('../index.js');
+  bot.logger.silent = true;
+});
+
+test('a quote outside the band around the reference price is blocked', async () => {
+  const check = priceCheck();
+
+  const result = await check.check(0.0115);
+
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /15\.00% above the reference price/);
+  assert.equal(check.getMedian().samples, 0);
+});
+
+test('a quote within the band is accepted and recorded for the median', async () => {
+  const check = priceCheck();
+
+  for (const price of [0.0095, 0.0105, 0.0101]) {
+    assert.equal((await check.check(price)).ok, true);
+  }
+
+  assert.deepEqual(check.getMedian(), { price: 0.0101, samples: 3 });
+});
+
+test('the median becomes a reference once it has enough samples', async () => {
+  const check = priceCheck({ referencePrice: null });
+  [0.02, 0.02, 0.02].forEach(price => check.recordQuote(price));
+
+  const result = await check.check(0.01);
+
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /below the median of 3 recent quotes/);
+});
+
+test('a pool that cannot be read blocks the swap', async () => {
+  const provider = { call: async () => { throw new Error('execution reverted'); } };
+  const check = priceCheck({ referencePrice: null, poolAddress: POOL }, provider);
+
+  const result = await check.check(0.01);
+
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /Base pool price unavailable/);
+});
+
+test('a quote with no reference to compare against is blocked', async () => {
+  const check = priceCheck({ referencePrice: null });
+
+  const result = await check.check(0.01);
+
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /no reference price is available/);
+});
+
+test('an enabled check needs a reference price or a pool', () => {
+  // Errors about the missing reference for the bot's configuration with priceCheck overridden
+  const errors = (priceCheck) => {
+    const messages = [];
+    validateConfig({ ...bot.config, priceCheck }, { info() {}, error: (message) => messages.push(message.trim()) });
+    return messages.filter(message => message.includes('PRICE_REFERENCE_USDC or PRICE_POOL_ADDRESS'));
+  };
+  const base = { ...bot.config.priceCheck, enabled: true, referencePrice: null, poolAddress: null };
+
+  assert.equal(errors(base).length, 1);
+  assert.equal(errors({ ...base, referencePrice: 0.01 }).length, 0);
+  assert.equal(errors({ ...base, poolAddress: POOL }).length, 0);
+  assert.equal(errors({ ...base, enabled: false }).length, 0);
+});
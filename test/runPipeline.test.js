@@ -0,0 +1,197 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RunJournal, RUN_STATUS, BURN_STATUS } from '../src/runJournal.js';
+import { BridgeLedger } from '../src/bridgeLedger.js';
+import { Ledger } from '../src/ledger.js';
+import { SpendingBudget } from '../src/spendingBudget.js';
+
+const TARGET = 'target-wallet';
+const SWAP_TX = `0x${'1'.repeat(64)}`;
+const BURN_TX = `0x${'2'.repeat(64)}`;
+
+let bot;
+let journal;
+let bridgeLedger;
+
+/**
+ * Base bridge stand-in: transaction statuses by hash and a fixed ARIO balance
+ */
+function fakeBaseBridge({ statuses = {}, arioBalance = 0 } = {}) {
+  return {
+    burns: [],
+    getWalletAddress: () => '0xbot',
+    getTransactionStatus: async (txHash) => statuses[txHash] || { status: 'not_found', receipt: null },
+    getArioBalance: async () => ({ balanceFormatted: arioBalance }),
+    async burnToAO(amount, address, dryRun, { onSubmitted }) {
+      onSubmitted(BURN_TX);
+      this.burns.push({ amount, address });
+      return { txHash: BURN_TX, gasUsed: '21000' };
+    },
+  };
+}
+
+function quotedRun(amount = 1000) {
+  return journal.createRun({
+    source: 'swap',
+    quote: { usdcNeeded: 10, arioAmount: amount, effectivePrice: 0.01, priceImpact: 0.1 },
+    burns: [{ address: TARGET, label: 'Target', amount }],
+  });
+}
+
+before(async () => {
+  // index.js writes its log file to the working directory
+  process.chdir(mkdtempSync(join(tmpdir(), 'topup-runs-')));
+  bot = await import('../index.js');
+  bot.logger.silent = true;
+});
+
+beforeEach(() => {
+  journal = new RunJournal(new Ledger('ledger.db', { persist: false }));
+  bridgeLedger = new BridgeLedger('bridge-ledger.json', { persist: false });
+  bot.useServices({
+    runJournal: journal,
+    bridgeLedger,
+    baseBridge: fakeBaseBridge(),
+    kyberSwap: {},
+    spendingBudget: new SpendingBudget({ maxUsdcPerRun: null, maxUsdcPerDay: null, maxUsdcPerWeek: null, maxSwapsPerDay: null }, bot.logger, 'budget.json', { persist: false }),
+    priceCheck: { check: async (price) => ({ ok: true, reason: null, price, references: [] }) },
+  });
+});
+
+test('a resumed run whose swap is still pending stays in flight with its ARIO counted', async () => {
+  const run = quotedRun();
+  journal.transition(run, RUN_STATUS.SWAPPING, { swap: { txHash: SWAP_TX } });
+  bot.useServices({ baseBridge: fakeBaseBridge({ statuses: { [SWAP_TX]: { status: 'pending' } } }) });
+
+  await bot.resumeInFlightRuns();
+
+  assert.equal(run.status, RUN_STATUS.SWAPPING);
+  // The next cycle must not buy the same shortfall again, or burn this ARIO as stranded
+  assert.equal(bot.inFlightAmountFor(TARGET), 1000);
+  assert.equal(bot.reservedBaseArio(), 1000);
+});
+
+test('a resumed run whose swap reverted fails and is no longer counted', async () => {
+  const run = quotedRun();
+  journal.transition(run, RUN_STATUS.SWAPPING, { swap: { txHash: SWAP_TX } });
+  bot.useServices({ baseBridge: fakeBaseBridge({ statuses: { [SWAP_TX]: { status: 'failed' } } }) });
+
+  await bot.resumeInFlightRuns();
+
+  assert.equal(run.status, RUN_STATUS.FAILED);
+  assert.equal(run.error, 'Swap transaction reverted');
+  assert.equal(bot.inFlightAmountFor(TARGET), 0);
+});
+
+test('a swap that fails after broadcasting is left swapping to be resolved by hash', async () => {
+  const run = quotedRun();
+  bot.useServices({
+    kyberSwap: {
+      async executeSwap(quote, dryRun, { onSubmitted }) {
+        onSubmitted(SWAP_TX);
+        throw new Error('receipt timeout');
+      },
+    },
+  });
+
+  await assert.rejects(bot.advanceRun(run), /receipt timeout/);
+
+  assert.equal(run.status, RUN_STATUS.SWAPPING);
+  assert.equal(run.swap.txHash, SWAP_TX);
+  assert.equal(bot.inFlightAmountFor(TARGET), 1000);
+});
+
+test('a swap that fails before broadcasting fails the run', async () => {
+  const run = quotedRun();
+  bot.useServices({
+    kyberSwap: { executeSwap: async () => { throw new Error('route expired'); } },
+  });
+
+  await assert.rejects(bot.advanceRun(run), /route expired/);
+
+  assert.equal(run.status, RUN_STATUS.FAILED);
+  assert.equal(bot.inFlightAmountFor(TARGET), 0);
+});
+
+test('a burn still pending after a restart keeps the run burning and its ARIO reserved', async () => {
+  const run = quotedRun();
+  journal.transition(run, RUN_STATUS.SWAPPED, { swap: { txHash: SWAP_TX, amountOut: 1000 } });
+  journal.transition(run, RUN_STATUS.BURNING);
+  journal.updateBurn(run, run.burns[0], { status: BURN_STATUS.SUBMITTED, txHash: BURN_TX });
+  const baseBridge = fakeBaseBridge({ statuses: { [BURN_TX]: { status: 'pending' } }, arioBalance: 1000 });
+  bot.useServices({ baseBridge });
+
+  await bot.resumeInFlightRuns();
+
+  assert.equal(run.status, RUN_STATUS.BURNING);
+  assert.equal(run.burns[0].status, BURN_STATUS.SUBMITTED);
+  assert.deepEqual(baseBridge.burns, []);
+  assert.equal(bot.reservedBaseArio(), 1000);
+});
+
+test('burned and credited ARIO is not reserved on Base', () => {
+  const run = quotedRun();
+  journal.transition(run, RUN_STATUS.BURNED);
+  journal.updateBurn(run, run.burns[0], { status: BURN_STATUS.BURNED, txHash: BURN_TX });
+
+  assert.equal(bot.reservedBaseArio(), 0);
+  assert.equal(bot.inFlightAmountFor(TARGET), 1000);
+
+  journal.updateBurn(run, run.burns[0], { status: BURN_STATUS.CREDITED });
+  assert.equal(bot.inFlightAmountFor(TARGET), 0);
+});
+
+test('a run the bridge check settles while its burns are being logged is left settled', async () => {
+  const run = quotedRun();
+  journal.transition(run, RUN_STATUS.SWAPPED, { swap: { txHash: SWAP_TX, amountOut: 1000 } });
+  journal.transition(run, RUN_STATUS.BURNING);
+  bot.useServices({
+    baseBridge: fakeBaseBridge({ arioBalance: 1000 }),
+    ledger: {
+      // checkPendingBridges() runs on its own timer and can credit the burn in the meantime
+      async logBaseBurn() {
+        journal.updateBurn(run, run.burns[0], { status: BURN_STATUS.CREDITED });
+        journal.transition(run, RUN_STATUS.CREDITED);
+      },
+    },
+  });
+
+  await bot.advanceRun(run);
+
+  assert.equal(run.status, RUN_STATUS.CREDITED);
+  assert.equal(run.burns[0].status, BURN_STATUS.CREDITED);
+  assert.equal(run.history.at(-1).status, RUN_STATUS.CREDITED);
+  assert.ok(!run.history.some(entry => entry.status === RUN_STATUS.BURNED));
+});
+
+test('a burn credited before the others finish still settles its run', async () => {
+  const run = journal.createRun({
+    source: 'swap',
+    quote: { usdcNeeded: 20, arioAmount: 2000, effectivePrice: 0.01, priceImpact: 0.1 },
+    burns: [
+      { address: TARGET, label: 'Target', amount: 1000 },
+      { address: 'second-wallet', label: 'Second', amount: 1000 },
+    ],
+  });
+  journal.transition(run, RUN_STATUS.SWAPPED, { swap: { txHash: SWAP_TX, amountOut: 2000 } });
+  journal.transition(run, RUN_STATUS.BURNING);
+  const baseBridge = fakeBaseBridge({ arioBalance: 2000 });
+  const burnToAO = baseBridge.burnToAO;
+  baseBridge.burnToAO = async function (amount, address, ...rest) {
+    if (address === 'second-wallet') {
+      // The first burn is credited while the second one fails
+      journal.updateBurn(run, run.burns[0], { status: BURN_STATUS.CREDITED });
+      throw new Error('insufficient funds for gas');
+    }
+    return burnToAO.call(this, amount, address, ...rest);
+  };
+  bot.useServices({ baseBridge, ledger: null });
+
+  await bot.advanceRun(run);
+
+  assert.equal(run.burns[1].status, BURN_STATUS.FAILED);
+  assert.equal(run.status, RUN_STATUS.CREDITED);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadTargets, sortByPriority, allocateByPriority } from '../src/targets.js';
+
+const DEFAULTS = { minBalance: 100, targetBalance: 200, minTransferAmount: 10 };
+
+test('loadTargets fills per-target settings from the defaults', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'targets-'));
+  const path = join(dir, 'targets.json');
+  writeFileSync(path, JSON.stringify({
+    targets: [
+      { address: 'wallet-a', label: 'A', minBalance: 50 },
+      { address: 'wallet-b', priority: 0, targetBalance: '300' },
+    ],
+  }));
+
+  assert.deepEqual(loadTargets(path, 'ignored', DEFAULTS), [
+    { address: 'wallet-a', label: 'A', minBalance: 50, targetBalance: 200, softCeiling: 200, minTransferAmount: 10, priority: 1 },
+    { address: 'wallet-b', label: 'wallet-b', minBalance: 100, targetBalance: 300, softCeiling: 300, minTransferAmount: 10, priority: 0 },
+  ]);
+});
+
+test('loadTargets falls back to the single target address', () => {
+  const [target] = loadTargets(undefined, 'wallet-a', DEFAULTS);
+  assert.equal(target.address, 'wallet-a');
+  assert.equal(target.minBalance, 100);
+  assert.deepEqual(loadTargets(undefined, undefined, DEFAULTS), []);
+});
+
+test('loadTargets rejects a file without a targets array', () => {
+  const path = join(mkdtempSync(join(tmpdir(), 'targets-')), 'targets.json');
+  writeFileSync(path, JSON.stringify({ wallets: [] }));
+  assert.throws(() => loadTargets(path, undefined, DEFAULTS), /must contain an array of targets/);
+});
+
+test('sortByPriority puts lower numbers first and keeps the order of ties', () => {
+  const sorted = sortByPriority([
+    { id: 'a', priority: 2 },
+    { id: 'b', priority: 1 },
+    { id: 'c', priority: 2 },
+  ]);
+  assert.deepEqual(sorted.map(item => item.id), ['b', 'a', 'c']);
+});
+
+test('allocateByPriority funds the first shortfalls in full before the rest', () => {
+  const shortfalls = [{ remainingNeeded: 60 }, { remainingNeeded: 50 }, { remainingNeeded: 0 }, { remainingNeeded: 10 }];
+  const allocations = allocateByPriority(100, shortfalls);
+
+  assert.deepEqual(allocations.map(({ shortfall, amount }) => [shortfalls.indexOf(shortfall), amount]), [[0, 60], [1, 40]]);
+  assert.deepEqual(allocateByPriority(0, shortfalls), []);
+});
@@ -0,0 +1,154 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { TransactionManager, TX_STATUS } from '../src/txManager.js';
+
+const NONCE = 7;
+const REQUEST = { to: '0x000000000000000000000000000000000000dEaD', data: '0x', gasLimit: 100000n };
+const logger = { info() {}, warn() {}, error() {} };
+const wallet = ethers.Wallet.createRandom();
+
+/**
+ * Provider stand-in: remembers what was broadcast and mines on request.
+ * `failures` are thrown by the matching broadcastTransaction() calls (null lets one through).
+ */
+function fakeProvider({ priorityFeeGwei = '0.05', failures = [] } = {}) {
+  return {
+    sent: [],
+    known: new Set(),
+    receipts: new Map(),
+    latestNonce: NONCE,
+    failures: [...failures],
+    async getTransactionCount(address, tag) {
+      return tag === 'latest' ? this.latestNonce : NONCE;
+    },
+    getFeeData: async () => ({
+      maxFeePerGas: ethers.parseUnits('0.5', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits(priorityFeeGwei, 'gwei'),
+    }),
+    getNetwork: async () => ({ chainId: 8453n }),
+    async broadcastTransaction(raw) {
+      const failure = this.failures.shift();
+      if (failure) throw failure;
+      this.sent.push(raw);
+      this.known.add(ethers.keccak256(raw));
+    },
+    async getTransaction(hash) {
+      return this.known.has(hash) ? { hash } : null;
+    },
+    async getTransactionReceipt(hash) {
+      return this.receipts.get(hash) || null;
+    },
+    mine(hash) {
+      this.receipts.set(hash, { hash, status: 1, gasUsed: 21000n });
+      this.latestNonce = NONCE + 1;
+    },
+  };
+}
+
+function manager(provider, config = {}, options = { persist: false }) {
+  return new TransactionManager(provider, wallet, logger, {
+    maxFeePerGasGwei: 1,
+    maxPriorityFeePerGasGwei: 0.1,
+    // Every check finds the transaction stuck, and send() gives up after one check
+    stuckAfterSeconds: 0,
+    feeBumpPercent: 20,
+    maxReplacements: 3,
+    confirmTimeoutMinutes: 0,
+    ...config,
+  }, options);
+}
+
+async function sendStuck(txManager) {
+  const submitted = [];
+  await assert.rejects(
+    txManager.send('burn', REQUEST, { onSubmitted: (hash) => submitted.push(hash) }),
+    /not mined/
+  );
+  return { entry: txManager.getPending()[0], submitted };
+}
+
+before(() => {
+  process.chdir(mkdtempSync(join(tmpdir(), 'topup-tx-')));
+});
+
+test('a stuck transaction is sped up with the same nonce and bumped fees', async () => {
+  const provider = fakeProvider();
+  const txManager = manager(provider);
+
+  const { entry, submitted } = await sendStuck(txManager);
+
+  assert.equal(entry.nonce, NONCE);
+  assert.deepEqual(entry.attempts.map(attempt => attempt.kind), ['original', 'speed-up']);
+  assert.equal(entry.attempts[1].maxFeePerGas, ethers.parseUnits('0.6', 'gwei').toString());
+  assert.equal(entry.attempts[1].maxPriorityFeePerGas, ethers.parseUnits('0.06', 'gwei').toString());
+  assert.deepEqual(submitted, entry.attempts.map(attempt => attempt.hash));
+
+  // Either hash resolves to the attempt that was mined
+  provider.mine(entry.attempts[1].hash);
+  const status = await txManager.getTransactionStatus(entry.attempts[0].hash, 0);
+  assert.equal(status.status, 'success');
+  assert.equal(status.txHash, entry.attempts[1].hash);
+  assert.equal(entry.status, TX_STATUS.MINED);
+});
+
+test('a speed-up never raises the priority fee above its cap', async () => {
+  // 0.09 gwei bumped by 20% would be 0.108, above the 0.1 gwei cap
+  const provider = fakeProvider({ priorityFeeGwei: '0.09' });
+  const txManager = manager(provider);
+
+  const { entry } = await sendStuck(txManager);
+
+  assert.deepEqual(entry.attempts.map(attempt => attempt.kind), ['original']);
+  assert.equal(provider.sent.length, 1);
+});
+
+test('a replacement the node rejects is dropped and the original is still waited on', async () => {
+  const underpriced = Object.assign(new Error('replacement transaction underpriced'), { code: 'REPLACEMENT_UNDERPRICED' });
+  const provider = fakeProvider({ failures: [null, underpriced] });
+  const txManager = manager(provider);
+
+  const { entry, submitted } = await sendStuck(txManager);
+
+  assert.deepEqual(entry.attempts.map(attempt => attempt.kind), ['original']);
+  // The journal is pointed back at the transaction that is actually out there
+  assert.equal(submitted.at(-1), entry.attempts[0].hash);
+
+  provider.mine(entry.attempts[0].hash);
+  assert.equal((await txManager.getTransactionStatus(submitted[1], 0)).status, 'not_found');
+  assert.equal((await txManager.getTransactionStatus(entry.attempts[0].hash, 0)).status, 'success');
+});
+
+test('a replacement whose broadcast failed ambiguously is kept with the other attempts', async () => {
+  const timeout = Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+  const provider = fakeProvider({ failures: [null, timeout] });
+  const txManager = manager(provider);
+
+  const { entry, submitted } = await sendStuck(txManager);
+
+  assert.deepEqual(entry.attempts.map(attempt => attempt.kind), ['original', 'speed-up']);
+  assert.deepEqual(submitted, entry.attempts.map(attempt => attempt.hash));
+});
+
+test('transactions left pending are re-broadcast and resolved after a restart', async () => {
+  const options = { filename: 'pending-transactions.json', persist: true };
+  const { entry } = await sendStuck(manager(fakeProvider(), { stuckAfterSeconds: 3600 }, options));
+  const [original] = entry.attempts;
+
+  // A new process whose node has never seen the transaction
+  const provider = fakeProvider();
+  const restarted = manager(provider, { stuckAfterSeconds: 3600 }, options);
+  assert.equal(restarted.getPending().length, 1);
+
+  await restarted.resumePending();
+  assert.deepEqual(provider.sent, [original.raw]);
+  assert.equal(restarted.getPending().length, 1);
+
+  provider.mine(original.hash);
+  await restarted.resumePending();
+  assert.equal(restarted.getPending().length, 0);
+  assert.equal((await restarted.getTransactionStatus(original.hash, 0)).status, 'success');
+});